@@ -0,0 +1,219 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const utils = require('@iobroker/adapter-core');
+const { httpDownload, toAbsoluteUrl } = require('./http');
+
+// SDCP camera commands
+const CMD_ENABLE_VIDEO_STREAM = 386;
+const CMD_ENABLE_TIMELAPSE = 387;
+
+// JPEG start and end markers inside the MJPEG stream
+const JPEG_START = Buffer.from([0xff, 0xd8]);
+const JPEG_END = Buffer.from([0xff, 0xd9]);
+
+// Stop reading the stream if no complete frame arrived within this many bytes
+const MAX_FRAME_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Camera stream, snapshots and timelapse videos of one printer.
+ * Snapshots and timelapses are stored in the instance data directory (for Telegram & co.)
+ * and snapshots additionally in the adapter's file storage (for VIS).
+ */
+class Camera {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     */
+    constructor(adapter, service) {
+        this.adapter = adapter;
+        this.service = service;
+        this.streamUrl = '';
+        this.snapshotTimer = null;
+        this.dataDir = path.join(utils.getAbsoluteInstanceDataDir(adapter), service.printer.id);
+
+        this.service.on('connection', connected => {
+            if (connected) {
+                this.restoreStream().catch(error => this.service.log.debug(`Failed to enable camera stream: ${error.message}`));
+                this.startSnapshots();
+            } else {
+                this.stopSnapshots();
+            }
+        });
+        this.service.on('printerHistory', tasks => {
+            this.updateTimelapses(tasks).catch(error => this.service.log.debug(`Failed to update timelapses: ${error.message}`));
+        });
+        this.service.on('status', status => {
+            if (typeof status.TimeLapseStatus !== 'undefined') {
+                this.service.setState('camera.timelapse', !!status.TimeLapseStatus);
+            }
+        });
+    }
+
+    /**
+     * Switch the video stream on or off and publish its URL
+     */
+    async enableStream(enable) {
+        const response = await this.service.sendCommand(CMD_ENABLE_VIDEO_STREAM, { Enable: enable ? 1 : 0 });
+
+        if (enable) {
+            this.streamUrl = response.VideoUrl
+                ? toAbsoluteUrl(response.VideoUrl, this.service.printer.ip)
+                : `http://${this.service.printer.ip}:${this.adapter.config.cameraPort}/video`;
+            this.service.log.debug(`Camera stream available at ${this.streamUrl}`);
+        }
+
+        await this.service.setState('camera.streamUrl', enable ? this.streamUrl : '');
+        await this.service.setState('camera.enabled', !!enable);
+        return response;
+    }
+
+    /**
+     * Enable the stream after a (re)connect unless it was switched off via camera.enabled
+     */
+    async restoreStream() {
+        const state = await this.adapter.getStateAsync(`${this.service.prefix}.camera.enabled`);
+        if (state && state.val === false) {
+            this.streamUrl = '';
+            return;
+        }
+        await this.enableStream(true);
+    }
+
+    /**
+     * Switch timelapse recording for the next prints on or off
+     */
+    async setTimelapse(enable) {
+        const response = await this.service.sendCommand(CMD_ENABLE_TIMELAPSE, { Enable: enable ? 1 : 0 });
+        await this.service.setState('camera.timelapse', !!enable);
+        return response;
+    }
+
+    /**
+     * Take snapshots in the configured interval while connected
+     */
+    startSnapshots() {
+        this.stopSnapshots();
+
+        const interval = parseInt(this.adapter.config.snapshotInterval) || 0;
+        if (interval <= 0) {
+            return;
+        }
+
+        this.snapshotTimer = setInterval(() => {
+            this.takeSnapshot().catch(error => this.service.log.debug(`Snapshot failed: ${error.message}`));
+        }, interval * 1000);
+    }
+
+    stopSnapshots() {
+        if (this.snapshotTimer) {
+            clearInterval(this.snapshotTimer);
+            this.snapshotTimer = null;
+        }
+    }
+
+    /**
+     * Grab one frame from the MJPEG stream and store it as snapshot.jpg
+     * @returns {Promise<{path: string, url: string}>} File on disk and path in the adapter file storage
+     */
+    async takeSnapshot() {
+        if (!this.streamUrl) {
+            await this.enableStream(true);
+        }
+
+        const image = await grabFrame(this.streamUrl);
+        const file = path.join(this.dataDir, 'snapshot.jpg');
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+        await fs.promises.writeFile(file, image);
+
+        const storagePath = `${this.service.printer.id}/snapshot.jpg`;
+        await this.adapter.writeFileAsync(this.adapter.namespace, storagePath, image);
+
+        const url = `/${this.adapter.namespace}/${storagePath}`;
+        await this.service.setState('camera.snapshotPath', file);
+        await this.service.setState('camera.snapshotUrl', url);
+        await this.service.setState('camera.snapshotTime', new Date().toISOString());
+
+        return { path: file, url };
+    }
+
+    /**
+     * Timelapse videos listed in the printer's history
+     * @param {object[]} printerHistory - Normalized tasks from PrintHistory
+     */
+    async updateTimelapses(printerHistory) {
+        const timelapses = printerHistory
+            .filter(task => task.timelapseUrl)
+            .map(task => ({ taskId: task.taskId, filename: task.filename, start: task.start, url: toAbsoluteUrl(task.timelapseUrl, this.service.printer.ip) }));
+
+        await this.service.setState('camera.timelapses', JSON.stringify(timelapses));
+        return timelapses;
+    }
+
+    /**
+     * Download the timelapse video of a history task into the data directory
+     * @param {object[]} printerHistory - Normalized tasks from PrintHistory
+     * @param {string} taskId - Task ID from history.printer
+     * @returns {Promise<string>} Path of the downloaded file
+     */
+    async downloadTimelapse(printerHistory, taskId) {
+        const task = printerHistory.find(t => t.taskId === taskId);
+        if (!task || !task.timelapseUrl) {
+            throw new Error(`No timelapse available for task ${taskId}`);
+        }
+
+        const url = toAbsoluteUrl(task.timelapseUrl, this.service.printer.ip);
+        const file = path.join(this.dataDir, `timelapse_${String(taskId).replace(/[^\w-]/g, '_')}${path.extname(url.split('?')[0]) || '.mp4'}`);
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+        this.service.log.info(`Downloading timelapse of ${task.filename} to ${file}`);
+        await httpDownload(url, file, { timeout: 60000 });
+        await this.service.setState('camera.lastTimelapse', file);
+        return file;
+    }
+}
+
+/**
+ * Read an MJPEG stream until the first complete JPEG frame and return it
+ */
+function grabFrame(url, timeout = 10000) {
+    return new Promise((resolve, reject) => {
+        let buffer = Buffer.alloc(0);
+        let done = false;
+
+        const finish = (error, frame) => {
+            if (done) {
+                return;
+            }
+            done = true;
+            request.destroy();
+            error ? reject(error) : resolve(frame);
+        };
+
+        const request = http.get(url, (response) => {
+            if (response.statusCode >= 400) {
+                return finish(new Error(`HTTP ${response.statusCode} for ${url}`));
+            }
+
+            response.on('data', (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+                const start = buffer.indexOf(JPEG_START);
+                const end = start === -1 ? -1 : buffer.indexOf(JPEG_END, start + 2);
+
+                if (end !== -1) {
+                    finish(null, buffer.subarray(start, end + 2));
+                } else if (buffer.length > MAX_FRAME_BYTES) {
+                    finish(new Error('No JPEG frame found in camera stream'));
+                }
+            });
+            response.on('end', () => finish(new Error('Camera stream ended before a frame was received')));
+        });
+
+        request.setTimeout(timeout, () => finish(new Error('Camera snapshot timed out')));
+        request.on('error', error => finish(error));
+    });
+}
+
+module.exports = Camera;
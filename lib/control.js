@@ -1,56 +1,225 @@
 'use strict';
 
+// Allowed target temperatures per heater in °C and the SDCP field that sets them
+const TEMPERATURE_LIMITS = {
+    nozzle: { field: 'TempTargetNozzle', min: 0, max: 350 },
+    bed: { field: 'TempTargetHotbed', min: 0, max: 110 },
+    chamber: { field: 'TempTargetBox', min: 0, max: 60 }
+};
+
+// Fan states and the SDCP field inside TargetFanSpeed
+const FAN_FIELDS = {
+    model: 'ModelFan',
+    auxiliary: 'AuxiliaryFan',
+    chamber: 'BoxFan'
+};
+
+// Print speed modes of the printer and their PrintSpeedPct value
+const SPEED_MODES = {
+    silent: 50,
+    balanced: 100,
+    sport: 130,
+    ludicrous: 160
+};
+
+const RGB_CHANNELS = ['r', 'g', 'b'];
+
+// SDCP command to change printer settings while idle or printing
+const CMD_SET_PARAMETERS = 403;
+
+/**
+ * Translates writes to printer states (targets, fans, lights, speed) into SDCP commands.
+ * Also forwards raw SDCP commands for firmware features without dedicated states.
+ */
 class ControlHandler {
-    constructor(adapter) {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer to control
+     */
+    constructor(adapter, service) {
         this.adapter = adapter;
-        this.getWsClient = null;
+        this.service = service;
     }
 
     /**
-     * Sets a getter function to retrieve the WebSocket client instance.
-     * This avoids race conditions during initialization.
-     * @param {() => import('ws') | null} getter
+     * Execute a state write.
+     * Returns null if the state is not controllable, otherwise a Promise that
+     * resolves to true once the printer acknowledged the command.
+     * @param {string} stateId - State ID relative to the printer device, e.g. 'fans.model'
+     * @param {any} value - The written value
+     * @returns {Promise<boolean> | null}
      */
-    setWsClientGetter(getter) {
-        this.getWsClient = getter;
+    handleCommand(stateId, value) {
+        let match = /^temperatures\.(\w+)\.target$/.exec(stateId);
+        if (match && TEMPERATURE_LIMITS[match[1]]) {
+            const heater = match[1];
+            this.service.log.info(`Setting ${heater} target temperature to ${value}°C`);
+            return this.service.runControl(`${heater}Target`, () => this.setTargetTemperature(heater, value));
+        }
+
+        match = /^fans\.(\w+)$/.exec(stateId);
+        if (match && FAN_FIELDS[match[1]]) {
+            const fan = match[1];
+            this.service.log.info(`Setting ${fan} fan speed to ${value}%`);
+            return this.service.runControl(`${fan}Fan`, () => this.setFanSpeed(fan, value));
+        }
+
+        match = /^lights\.rgb\.([rgb])$/.exec(stateId);
+        if (match) {
+            const channel = match[1];
+            this.service.log.info(`Setting RGB light ${channel.toUpperCase()} to ${value}`);
+            return this.service.runControl('rgb', () => this.setRgbChannel(channel, value));
+        }
+
+        if (stateId === 'lights.rgb.hex') {
+            this.service.log.info(`Setting RGB light to ${value}`);
+            return this.service.runControl('rgb', () => this.setRgbHex(value));
+        }
+
+        if (stateId === 'print.speedMode') {
+            this.service.log.info(`Setting print speed mode to ${value}`);
+            return this.service.runControl('speedMode', () => this.setSpeedMode(value));
+        }
+
+        if (stateId === 'controls.rawCommand') {
+            // Clearing the state sends nothing
+            return value ? this.service.runControl('rawCommand', () => this.runRawCommand(value)) : Promise.resolve(true);
+        }
+
+        return null;
     }
 
-    handleCommand(command, value) {
-        let commandObject = null;
-        switch (command) {
-            case 'targetNozzleTemp':
-                commandObject = { command: 'SET_TEMP', data: { type: 'nozzle', value: value } };
-                break;
-            case 'targetBedTemp':
-                commandObject = { command: 'SET_TEMP', data: { type: 'bed', value: value } };
-                break;
-            case 'command':
-                if (includes(value.toUpperCase())) {
-                    commandObject = { command: 'CONTROL_PRINT', data: { action: value.toLowerCase() } };
-                }
-                break;
-            // Implement other commands here
+    /**
+     * Set the target temperature of a heater after checking its limits
+     */
+    setTargetTemperature(heater, value) {
+        const limits = TEMPERATURE_LIMITS[heater];
+        const temperature = Number(value);
+
+        if (value === null || value === '' || !Number.isFinite(temperature) || temperature < limits.min || temperature > limits.max) {
+            return Promise.reject(new Error(`Invalid ${heater} target temperature ${value}, allowed range is ${limits.min}-${limits.max}°C`));
         }
 
-        if (commandObject) {
-            this._sendCommand(commandObject);
+        return this.service.sendCommand(CMD_SET_PARAMETERS, { [limits.field]: Math.round(temperature) });
+    }
+
+    /**
+     * Set a fan speed in percent
+     */
+    setFanSpeed(fan, value) {
+        const speed = Number(value);
+
+        if (value === null || value === '' || !Number.isFinite(speed) || speed < 0 || speed > 100) {
+            return Promise.reject(new Error(`Invalid ${fan} fan speed ${value}, allowed range is 0-100%`));
         }
+
+        return this.service.sendCommand(CMD_SET_PARAMETERS, {
+            TargetFanSpeed: { [FAN_FIELDS[fan]]: Math.round(speed) }
+        });
     }
 
-    _sendCommand(commandObject) {
-        if (!this.getWsClient) {
-            this.adapter.log.error('WebSocket client getter not set.');
-            return;
+    /**
+     * Change one channel of the RGB light, keeping the other two
+     */
+    setRgbChannel(channel, value) {
+        const level = Number(value);
+
+        if (value === null || value === '' || !Number.isFinite(level) || level < 0 || level > 255) {
+            return Promise.reject(new Error(`Invalid RGB ${channel.toUpperCase()} value ${value}, allowed range is 0-255`));
         }
 
-        const ws = this.getWsClient();
-        if (ws && ws.readyState === 1 /* OPEN */) {
-            ws.send(JSON.stringify(commandObject));
-            this.adapter.log.debug(`Sent command: ${JSON.stringify(commandObject)}`);
-        } else {
-            this.adapter.log.error('Cannot send command: WebSocket is not open.');
+        const rgb = [...this.service.lightStatus.RgbLight];
+        rgb[RGB_CHANNELS.indexOf(channel)] = Math.round(level);
+        return this.service.setLight({ RgbLight: rgb });
+    }
+
+    /**
+     * Set the RGB light from a color like '#ff8800'
+     */
+    setRgbHex(value) {
+        const match = /^#?([0-9a-f]{6})$/i.exec(String(value).trim());
+
+        if (!match) {
+            return Promise.reject(new Error(`Invalid RGB color ${value}, expected #rrggbb`));
+        }
+
+        const color = parseInt(match[1], 16);
+        return this.service.setLight({ RgbLight: [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff] });
+    }
+
+    /**
+     * Send the JSON of controls.rawCommand and publish the outcome in controls.rawResponse
+     */
+    async runRawCommand(value) {
+        const result = { cmd: null, success: false, response: null, error: null, timestamp: null };
+
+        try {
+            const request = typeof value === 'string' ? JSON.parse(value) : value;
+            result.cmd = request && request.cmd;
+            result.response = await this.sendRawCommand(request);
+            result.success = true;
+            return result.response;
+        } catch (error) {
+            result.error = error.message;
+            throw error;
+        } finally {
+            result.timestamp = new Date().toISOString();
+            await this.service.setState('controls.rawResponse', JSON.stringify(result));
         }
     }
+
+    /**
+     * Send any SDCP command and resolve with the response payload of the printer
+     * @param {{cmd: number, data?: object, timeout?: number, retries?: number}} request
+     * @returns {Promise<object>}
+     */
+    sendRawCommand(request) {
+        const cmd = Number(request && request.cmd);
+        if (request === null || typeof request !== 'object' || request.cmd === '' || !Number.isInteger(cmd) || cmd < 0) {
+            return Promise.reject(new Error(`Invalid SDCP command ${request && request.cmd}, expected {"cmd": <number>, "data": {...}}`));
+        }
+
+        const data = request.data === undefined ? {} : request.data;
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            return Promise.reject(new Error(`Invalid data for SDCP command ${cmd}, expected an object`));
+        }
+
+        this.service.log.info(`Sending raw SDCP command ${cmd}: ${JSON.stringify(data)}`);
+        return this.service.sendCommand(cmd, data, { timeout: request.timeout, retries: request.retries });
+    }
+
+    /**
+     * Switch the print speed mode (silent, balanced, sport, ludicrous)
+     */
+    setSpeedMode(value) {
+        const mode = String(value).toLowerCase();
+
+        if (!SPEED_MODES[mode]) {
+            return Promise.reject(new Error(`Invalid speed mode ${value}, allowed are ${Object.keys(SPEED_MODES).join(', ')}`));
+        }
+
+        return this.service.sendCommand(CMD_SET_PARAMETERS, { PrintSpeedPct: SPEED_MODES[mode] });
+    }
+}
+
+/**
+ * Format an RGB array as '#rrggbb'
+ */
+function rgbToHex(rgb) {
+    return '#' + rgb.map(level => Math.max(0, Math.min(255, level || 0)).toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * Name of the speed mode for a PrintSpeedPct value, or '' if it matches none
+ */
+function getSpeedMode(speedPct) {
+    return Object.keys(SPEED_MODES).find(mode => SPEED_MODES[mode] === speedPct) || '';
+}
+
+ControlHandler.TEMPERATURE_LIMITS = TEMPERATURE_LIMITS;
+ControlHandler.FAN_FIELDS = FAN_FIELDS;
+ControlHandler.SPEED_MODES = SPEED_MODES;
+ControlHandler.rgbToHex = rgbToHex;
+ControlHandler.getSpeedMode = getSpeedMode;
+
 module.exports = ControlHandler;
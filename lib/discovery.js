@@ -1,18 +1,60 @@
+'use strict';
+
 const dgram = require('dgram');
 
-function discoverPrinters(callback) {
+const DISCOVERY_PORT = 3000;
+const DISCOVERY_MESSAGE = 'M99999';
+
+/**
+ * Convert an SDCP discovery reply into a flat printer description.
+ * The printer answers with { Id, Data: { Name, MachineName, MainboardIP, MainboardID, ... } }.
+ */
+function parseDiscoveryResponse(response, rinfo) {
+    const data = (response && response.Data) || {};
+    return {
+        ip: data.MainboardIP || rinfo.address,
+        name: data.Name || '',
+        model: data.MachineName || '',
+        brand: data.BrandName || '',
+        mainboardId: data.MainboardID || '',
+        firmware: data.FirmwareVersion || '',
+        protocolVersion: data.ProtocolVersion || ''
+    };
+}
+
+/**
+ * Broadcast the SDCP discovery message and collect all replies.
+ * @param {(err: Error | null, printers: object[] | null) => void} callback
+ * @param {number} [timeout] - How long to wait for replies in milliseconds
+ */
+function discoverPrinters(callback, timeout = 2000) {
     const client = dgram.createSocket('udp4');
-    const message = Buffer.from('M99999');
-    const discoveredPrinters =;
+    const message = Buffer.from(DISCOVERY_MESSAGE);
+    const discoveredPrinters = [];
+    let finished = false;
+    let timer = null;
+
+    const finish = (err) => {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        try {
+            client.close();
+        } catch (e) {
+            // Socket already closed
+        }
+        callback(err, err ? null : discoveredPrinters);
+    };
 
     client.on('message', (msg, rinfo) => {
+        // Ignore our own broadcast echoing back
+        if (msg.toString() === DISCOVERY_MESSAGE) {
+            return;
+        }
         try {
-            const response = JSON.parse(msg.toString());
-            // Assumption: The response contains an IP address or can be derived from rinfo.
-            const printerInfo = {
-                ip: rinfo.address,
-                data: response
-            };
+            const printerInfo = parseDiscoveryResponse(JSON.parse(msg.toString()), rinfo);
             if (!discoveredPrinters.some(p => p.ip === printerInfo.ip)) {
                 discoveredPrinters.push(printerInfo);
             }
@@ -21,19 +63,29 @@ function discoverPrinters(callback) {
         }
     });
 
+    client.on('error', (err) => finish(err));
+
     client.bind(() => {
         client.setBroadcast(true);
-        client.send(message, 3000, '255.255.255.255', (err) => {
+        client.send(message, DISCOVERY_PORT, '255.255.255.255', (err) => {
             if (err) {
-                client.close();
-                callback(err, null);
+                finish(err);
             }
         });
     });
 
     // Wait a short time for responses
-    setTimeout(() => {
-        client.close();
-        callback(null, discoveredPrinters);
-    }, 2000);
+    timer = setTimeout(() => finish(null), timeout);
 }
+
+/**
+ * Pick the printer with the given MainboardID, or the first one if none is configured
+ */
+function selectPrinter(printers, mainboardId) {
+    if (mainboardId) {
+        return printers.find(p => p.mainboardId === mainboardId) || null;
+    }
+    return printers[0] || null;
+}
+
+module.exports = { discoverPrinters, parseDiscoveryResponse, selectPrinter };
@@ -0,0 +1,193 @@
+'use strict';
+
+const { round } = require('./utils');
+
+// How often the power reading is integrated and published in milliseconds
+const INTEGRATION_INTERVAL = 60000;
+
+// Units of power and energy meter states and their factor to W or kWh
+const POWER_UNITS = { w: 1, kw: 1000 };
+const ENERGY_UNITS = { wh: 0.001, kwh: 1 };
+
+/**
+ * Tracks the electricity used per print job, by all jobs and in standby between jobs,
+ * using a power (W) or energy meter (Wh, kWh) state of another adapter, e.g. a smart plug.
+ * Power readings are integrated over time, energy meter readings are counted as differences.
+ * Adds energy and energyCost to finished jobs in the print history.
+ */
+class EnergyTracker {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     * @param {import('./history')} history - Print history detecting the jobs
+     */
+    constructor(adapter, service, history) {
+        this.adapter = adapter;
+        this.service = service;
+        this.history = history;
+        this.stateId = service.printer.energyStateId || '';
+        this.isEnergyMeter = false;
+        this.factor = 1;
+        this.reading = null;
+        this.job = null;
+        this.lastJob = null;
+        this.totals = {
+            job: { consumption: 0, cost: 0 },
+            standby: { consumption: 0, cost: 0 }
+        };
+        this.timer = null;
+
+        this.service.on('jobStarted', () => this.startJob());
+        this.service.on('jobFinishing', job => this.addUsage(job));
+        this.service.on('jobFinished', () => {
+            this.publish().catch(error => this.service.log.warn(`Failed to update energy usage: ${error.message}`));
+        });
+    }
+
+    /**
+     * Restore the totals, detect the kind of meter and subscribe to it
+     */
+    async init() {
+        if (!this.stateId) {
+            return;
+        }
+
+        this.totals.job.consumption = await this.readNumber('energy.total.consumption');
+        this.totals.job.cost = await this.readNumber('energy.total.cost');
+        this.totals.standby.consumption = await this.readNumber('energy.standby.consumption');
+        this.totals.standby.cost = await this.readNumber('energy.standby.cost');
+        // The adapter restarted during a print, continue counting the job
+        if (this.history.currentJob) {
+            this.job = {
+                consumption: await this.readNumber('energy.job.consumption'),
+                cost: await this.readNumber('energy.job.cost')
+            };
+        }
+
+        const meter = await this.adapter.getForeignObjectAsync(this.stateId);
+        if (!meter) {
+            this.service.log.warn(`Energy meter state ${this.stateId} does not exist`);
+            return;
+        }
+
+        const unit = String((meter.common && meter.common.unit) || 'W').trim().toLowerCase();
+        this.isEnergyMeter = unit in ENERGY_UNITS;
+        this.factor = this.isEnergyMeter ? ENERGY_UNITS[unit] : (POWER_UNITS[unit] || 1);
+        this.service.log.info(`Tracking energy with ${this.isEnergyMeter ? 'energy' : 'power'} meter ${this.stateId} (${unit})`);
+
+        const state = await this.adapter.getForeignStateAsync(this.stateId);
+        if (state) {
+            this.onMeterValue(state.val);
+        }
+        await this.adapter.subscribeForeignStatesAsync(this.stateId);
+
+        this.timer = setInterval(() => {
+            this.integrate(Date.now());
+            this.publish().catch(error => this.service.log.debug(`Failed to publish energy usage: ${error.message}`));
+        }, INTEGRATION_INTERVAL);
+        await this.publish();
+    }
+
+    /**
+     * Handle a new reading of the meter state
+     * @param {any} value - Power or meter reading in the unit of the state
+     */
+    onMeterValue(value) {
+        const time = Date.now();
+        const number = parseFloat(value);
+        if (!Number.isFinite(number)) {
+            return;
+        }
+
+        if (this.isEnergyMeter) {
+            const reading = number * this.factor;
+            // A lower reading means the meter was reset, the energy until the reset is lost
+            if (this.reading && reading >= this.reading.value) {
+                this.count(reading - this.reading.value);
+            }
+            this.reading = { value: reading, time };
+        } else {
+            this.integrate(time);
+            this.reading = { value: Math.max(0, number * this.factor), time };
+        }
+    }
+
+    /**
+     * Count the energy used at the last power reading up to the given time
+     */
+    integrate(time) {
+        if (this.isEnergyMeter || !this.reading || time <= this.reading.time) {
+            return;
+        }
+        this.count(this.reading.value * (time - this.reading.time) / 3600000 / 1000);
+        this.reading.time = time;
+    }
+
+    /**
+     * Add energy in kWh to the running job or to the standby consumption.
+     * The cost is added at the current price, so a new price does not change past costs.
+     */
+    count(kWh) {
+        const cost = kWh * this.adapter.config.energyPricePerKwh;
+        const targets = this.job ? [this.job, this.totals.job] : [this.totals.standby];
+        for (const target of targets) {
+            target.consumption += kWh;
+            target.cost += cost;
+        }
+    }
+
+    startJob() {
+        if (!this.stateId) {
+            return;
+        }
+        this.integrate(Date.now());
+        this.job = { consumption: 0, cost: 0 };
+        this.publish().catch(error => this.service.log.debug(`Failed to publish energy usage: ${error.message}`));
+    }
+
+    /**
+     * Add the energy to a finished job before the history stores it
+     */
+    addUsage(job) {
+        if (!this.stateId) {
+            return;
+        }
+        this.integrate(Date.now());
+
+        const usage = this.job || { consumption: 0, cost: 0 };
+        job.energy = round(usage.consumption, 3);
+        job.energyCost = round(usage.cost, 2);
+        this.service.log.info(`${job.filename} used ${job.energy} kWh`);
+
+        // Meter readings until the next job count as standby, publish() still shows this job
+        this.lastJob = this.job;
+        this.job = null;
+    }
+
+    async publish() {
+        const usages = { job: this.job || this.lastJob, total: this.totals.job, standby: this.totals.standby };
+        for (const [channel, usage] of Object.entries(usages)) {
+            if (usage) {
+                await this.service.setState(`energy.${channel}.consumption`, round(usage.consumption, 3));
+                await this.service.setState(`energy.${channel}.cost`, round(usage.cost, 2));
+            }
+        }
+        if (!this.isEnergyMeter && this.reading) {
+            await this.service.setState('energy.power', round(this.reading.value, 1));
+        }
+    }
+
+    async readNumber(id) {
+        const state = await this.adapter.getStateAsync(`${this.service.prefix}.${id}`);
+        return state && typeof state.val === 'number' ? state.val : 0;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = EnergyTracker;
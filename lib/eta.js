@@ -0,0 +1,137 @@
+'use strict';
+
+const { isPrinterIdle, getStatusKey } = require('./messages');
+
+// Number of recent layers used for the layer rate
+const LAYER_WINDOW = 10;
+// Minimum number of timed layers before the layer rate is trusted
+const MIN_LAYER_SAMPLES = 3;
+// Maximum share of the layer rate in the blended estimate
+const MAX_LAYER_WEIGHT = 0.8;
+// Print states in which the layer time stands still
+const PAUSE_STATUSES = ['PAUSING', 'PAUSED'];
+
+/**
+ * Estimates the remaining print time of one printer.
+ * Blends the slicer estimate (TotalTicks - CurrentTicks) with the measured time per layer.
+ * Both are normalized to 100 % print speed, so speed changes take effect immediately.
+ */
+class EtaEstimator {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     */
+    constructor(adapter, service) {
+        this.adapter = adapter;
+        this.service = service;
+        this.reset();
+
+        this.service.on('status', status => {
+            if (status.PrintInfo) {
+                this.update(status.PrintInfo).catch(error => this.service.log.debug(`Failed to update ETA: ${error.message}`));
+            }
+        });
+    }
+
+    reset() {
+        this.filename = '';
+        this.layer = 0;
+        this.layerStarted = 0;
+        this.speed = 100;
+        // Seconds per layer at 100 % speed
+        this.layerTimes = [];
+    }
+
+    /**
+     * Update the estimate from a PrintInfo block
+     */
+    async update(printInfo) {
+        if (isPrinterIdle(printInfo.Status)) {
+            if (this.filename) {
+                this.reset();
+            }
+            await this.publish(printInfo.TotalTicks || 0, printInfo.CurrentTicks || 0, 0);
+            return;
+        }
+
+        if (printInfo.Filename && printInfo.Filename !== this.filename) {
+            this.reset();
+            this.filename = printInfo.Filename;
+        }
+
+        const speed = printInfo.PrintSpeedPct || 100;
+        this.trackLayer(printInfo.CurrentLayer || 0, speed, PAUSE_STATUSES.includes(getStatusKey(printInfo.Status)));
+
+        const total = printInfo.TotalTicks || 0;
+        const elapsed = printInfo.CurrentTicks || 0;
+        const remaining = this.estimate(printInfo, speed);
+
+        await this.publish(total, elapsed, remaining);
+    }
+
+    /**
+     * Record the duration of each finished layer, normalized to 100 % speed.
+     * A layer during which the print was paused gives no duration.
+     */
+    trackLayer(layer, speed, paused) {
+        const now = Date.now();
+
+        if (paused) {
+            this.layer = layer;
+            this.layerStarted = 0;
+            return;
+        }
+
+        if (layer !== this.layer) {
+            // Only layers that were watched from start to end give a usable duration
+            if (this.layerStarted && layer === this.layer + 1) {
+                const seconds = (now - this.layerStarted) / 1000;
+                this.layerTimes.push(seconds * this.speed / 100);
+                if (this.layerTimes.length > LAYER_WINDOW) {
+                    this.layerTimes.shift();
+                }
+            }
+            this.layer = layer;
+            this.layerStarted = this.layer ? now : 0;
+        }
+
+        this.speed = speed;
+    }
+
+    /**
+     * Remaining seconds at the current speed
+     */
+    estimate(printInfo, speed) {
+        const factor = 100 / speed;
+        const slicerRemaining = Math.max(0, (printInfo.TotalTicks || 0) - (printInfo.CurrentTicks || 0));
+        const totalLayers = printInfo.TotalLayer || 0;
+
+        if (this.layerTimes.length < MIN_LAYER_SAMPLES || !totalLayers) {
+            return slicerRemaining * factor;
+        }
+
+        const perLayer = this.layerTimes.reduce((sum, seconds) => sum + seconds, 0) / this.layerTimes.length;
+        const layerRemaining = Math.max(0, totalLayers - this.layer) * perLayer;
+
+        // Trust the measured rate more the further the print progressed
+        const weight = Math.min(MAX_LAYER_WEIGHT, this.layer / totalLayers);
+        return ((1 - weight) * slicerRemaining + weight * layerRemaining) * factor;
+    }
+
+    async publish(total, elapsed, remaining) {
+        remaining = Math.round(remaining);
+
+        await this.service.setState('print.totalSeconds', total);
+        await this.service.setState('print.elapsedSeconds', elapsed);
+        await this.service.setState('print.remainingSeconds', remaining);
+        // Full minutes, so the finish time is not rewritten with every status
+        const finish = Math.round((Date.now() + remaining * 1000) / 60000) * 60000;
+        await this.service.setState('print.estimatedFinish', remaining ? new Date(finish).toISOString() : '');
+
+        await this.service.setState('print.totalTime', this.service.formatTime(total));
+        await this.service.setState('print.elapsedTime', this.service.formatTime(elapsed));
+        await this.service.setState('print.remainingTime', this.service.formatTime(remaining));
+    }
+}
+
+module.exports = EtaEstimator;
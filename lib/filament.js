@@ -0,0 +1,251 @@
+'use strict';
+
+const { isPrinterIdle } = require('./messages');
+const { getFilamentEstimate } = require('./files');
+const { round } = require('./utils');
+
+// Cross section of 1.75 mm filament in mm²
+const FILAMENT_CROSS_SECTION = Math.PI * Math.pow(1.75 / 2, 2);
+
+/**
+ * Tracks the filament used per job and in total, its cost and the filament left on the spool.
+ * Usage is the slicer estimate of the file scaled with the print progress.
+ * Adds filamentWeight, filamentLength and filamentCost to finished jobs in the print history.
+ */
+class FilamentTracker {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     * @param {import('./files')} files - File manager with the file metadata
+     */
+    constructor(adapter, service, files) {
+        this.adapter = adapter;
+        this.service = service;
+        this.files = files;
+        this.job = null;
+        this.totals = { weight: 0, length: 0, cost: 0 };
+        this.spool = { weight: 0, pricePerKg: 0, remaining: 0 };
+        this.isLow = false;
+
+        this.service.on('status', status => this.onStatus(status));
+        this.service.on('jobFinishing', job => this.addUsage(job));
+        this.service.on('jobFinished', job => {
+            this.finishJob(job).catch(error => this.service.log.warn(`Failed to update filament usage: ${error.message}`));
+        });
+    }
+
+    /**
+     * Restore totals and spool from the states, using the configured spool for new printers
+     */
+    async init() {
+        const config = this.adapter.config;
+
+        this.totals.weight = await this.readNumber('filament.total.weight', 0);
+        this.totals.length = await this.readNumber('filament.total.length', 0);
+        this.totals.cost = await this.readNumber('filament.total.cost', 0);
+        this.spool.weight = await this.readNumber('filament.spool.weight', config.filamentSpoolWeight);
+        this.spool.pricePerKg = await this.readNumber('filament.spool.pricePerKg', config.filamentPricePerKg);
+        this.spool.remaining = await this.readNumber('filament.spool.remaining', this.spool.weight);
+
+        await this.publishSpool();
+    }
+
+    /**
+     * Follow the progress of the running job
+     */
+    onStatus(status) {
+        const printInfo = status.PrintInfo;
+        if (!printInfo || printInfo.Status === undefined || isPrinterIdle(printInfo.Status)) {
+            return;
+        }
+
+        const filename = printInfo.Filename || '';
+        if (!this.job || this.job.filename !== filename) {
+            this.startJob(filename);
+        }
+
+        const estimate = completeEstimate(getFilamentEstimate(printInfo), this.adapter.config.filamentDensity);
+        if (estimate.weight) {
+            this.job.estimate = estimate;
+        }
+        this.job.progress = printInfo.Progress || this.job.progress;
+
+        this.publishJob().catch(error => this.service.log.debug(`Failed to publish filament usage: ${error.message}`));
+    }
+
+    startJob(filename) {
+        this.job = { filename, estimate: { weight: 0, length: 0 }, progress: 0 };
+        this.loadEstimate(this.job).catch(error => this.service.log.debug(`No filament estimate for ${filename}: ${error.message}`));
+    }
+
+    /**
+     * Look up the slicer estimate of the job's file and warn if the spool will not last
+     */
+    async loadEstimate(job) {
+        const findFile = files => files.find(file => file.name === job.filename || file.path === job.filename);
+
+        let file = findFile(this.files.files);
+        if (!file) {
+            file = findFile(await this.files.listFiles());
+        }
+        if (file && !job.estimate.weight) {
+            job.estimate = completeEstimate({ weight: file.filamentWeight, length: file.filamentLength }, this.adapter.config.filamentDensity);
+        }
+
+        if (job.estimate.weight) {
+            this.service.log.debug(`${job.filename} needs about ${job.estimate.weight}g filament`);
+            await this.publishJob();
+            await this.publishSpool();
+        }
+    }
+
+    /**
+     * Filament used so far by the running job
+     * @param {number} progress - Print progress in percent
+     */
+    getUsage(progress) {
+        const estimate = this.job ? this.job.estimate : { weight: 0, length: 0 };
+        const share = Math.max(0, Math.min(100, progress)) / 100;
+        const weight = round(estimate.weight * share, 1);
+
+        return {
+            weight,
+            length: round(estimate.length * share, 2),
+            cost: this.getCost(weight)
+        };
+    }
+
+    getCost(weight) {
+        return round(weight / 1000 * this.spool.pricePerKg, 2);
+    }
+
+    async publishJob() {
+        const usage = this.getUsage(this.job.progress);
+
+        await this.service.setState('filament.job.weight', usage.weight);
+        await this.service.setState('filament.job.length', usage.length);
+        await this.service.setState('filament.job.cost', usage.cost);
+        await this.service.setState('filament.job.estimatedWeight', this.job.estimate.weight);
+        await this.service.setState('filament.job.estimatedCost', this.getCost(this.job.estimate.weight));
+    }
+
+    /**
+     * Add the usage to a finished job before the history stores it
+     */
+    addUsage(job) {
+        const known = this.job && this.job.filename === job.filename;
+        const usage = known
+            ? this.getUsage(job.result === 'complete' ? 100 : this.job.progress)
+            : { weight: 0, length: 0, cost: 0 };
+
+        job.filamentWeight = usage.weight;
+        job.filamentLength = usage.length;
+        job.filamentCost = usage.cost;
+    }
+
+    /**
+     * Count the usage of a finished job and take it off the spool
+     */
+    async finishJob(job) {
+        const known = this.job && this.job.filename === job.filename;
+        if (known) {
+            // A completed job used the whole estimate, whatever the last reported progress was
+            this.job.progress = job.result === 'complete' ? 100 : this.job.progress;
+            await this.publishJob();
+        }
+        this.job = null;
+
+        if (!job.filamentWeight) {
+            return;
+        }
+
+        this.totals.weight = round(this.totals.weight + job.filamentWeight, 1);
+        this.totals.length = round(this.totals.length + job.filamentLength, 2);
+        this.totals.cost = round(this.totals.cost + job.filamentCost, 2);
+        this.spool.remaining = Math.max(0, round(this.spool.remaining - job.filamentWeight, 1));
+        this.service.log.info(`${job.filename} used ${job.filamentWeight}g filament, ${this.spool.remaining}g left on the spool`);
+
+        await this.service.setState('filament.total.weight', this.totals.weight);
+        await this.service.setState('filament.total.length', this.totals.length);
+        await this.service.setState('filament.total.cost', this.totals.cost);
+        await this.publishSpool();
+    }
+
+    /**
+     * Publish the spool and raise the low-spool warning when it falls below the threshold
+     * or holds less than the running job still needs
+     */
+    async publishSpool() {
+        const needed = this.job ? this.job.estimate.weight - this.getUsage(this.job.progress).weight : 0;
+        const low = this.spool.remaining < this.adapter.config.filamentLowWarning || needed > this.spool.remaining;
+
+        if (low && !this.isLow) {
+            this.service.log.warn(needed > this.spool.remaining
+                ? `Spool holds only ${this.spool.remaining}g, the job needs another ${round(needed, 1)}g`
+                : `Spool is running low, ${this.spool.remaining}g left`);
+        }
+        this.isLow = low;
+
+        await this.service.setState('filament.spool.weight', this.spool.weight);
+        await this.service.setState('filament.spool.pricePerKg', this.spool.pricePerKg);
+        await this.service.setState('filament.spool.remaining', this.spool.remaining);
+        await this.service.setState('filament.spool.remainingPercent', this.spool.weight ? Math.round(this.spool.remaining / this.spool.weight * 100) : 0);
+        await this.service.setState('filament.spool.low', low);
+    }
+
+    /**
+     * Handle writes to filament.spool.*
+     */
+    async handleStateChange(stateId, value) {
+        const number = Number(value);
+        const valid = value !== null && value !== '' && Number.isFinite(number) && number >= 0;
+
+        switch (stateId) {
+            case 'filament.spool.weight':
+            case 'filament.spool.pricePerKg':
+            case 'filament.spool.remaining': {
+                const key = stateId.split('.').pop();
+                if (valid) {
+                    this.spool[key] = number;
+                } else {
+                    this.service.log.warn(`Invalid value ${value} for ${stateId}`);
+                }
+                break;
+            }
+
+            case 'filament.spool.replace':
+                if (value) {
+                    this.service.log.info(`New spool with ${this.spool.weight}g inserted`);
+                    this.spool.remaining = this.spool.weight;
+                }
+                await this.adapter.setState(`${this.service.prefix}.${stateId}`, false, true);
+                break;
+
+            default:
+                return;
+        }
+
+        await this.publishSpool();
+    }
+
+    async readNumber(id, fallback) {
+        const state = await this.adapter.getStateAsync(`${this.service.prefix}.${id}`);
+        return state && typeof state.val === 'number' ? state.val : fallback;
+    }
+}
+
+/**
+ * Derive weight from length or length from weight if the printer only reports one of them
+ * @param {{weight: number, length: number}} estimate - Weight in g, length in m
+ * @param {number} density - Filament density in g/cm³
+ */
+function completeEstimate(estimate, density) {
+    // 1 m of filament has a volume of FILAMENT_CROSS_SECTION cm³
+    const gramsPerMeter = FILAMENT_CROSS_SECTION * density;
+    return {
+        weight: estimate.weight || round(estimate.length * gramsPerMeter, 1),
+        length: estimate.length || round(estimate.weight / gramsPerMeter, 2)
+    };
+}
+
+module.exports = FilamentTracker;
@@ -0,0 +1,225 @@
+'use strict';
+
+// SDCP file commands
+const CMD_START_PRINT = 128;
+const CMD_GET_FILE_LIST = 258;
+const CMD_DELETE_FILES = 259;
+
+// Root folders of the printer storages
+const STORAGE_PATHS = {
+    local: '/local/',
+    usb: '/usb/'
+};
+
+/**
+ * Lists, starts and deletes files stored on a printer.
+ * Prints are started after switching the printer on if its power is controlled by the adapter.
+ */
+class FileManager {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     * @param {import('./power')} [power] - Power control switching the printer on before a print
+     */
+    constructor(adapter, service, power) {
+        this.adapter = adapter;
+        this.service = service;
+        this.power = power || null;
+        this.files = [];
+    }
+
+    /**
+     * Fetch the file list of a folder from the printer
+     * @param {string} [path] - Folder on the printer, e.g. '/local/' or '/usb/models/'
+     * @returns {Promise<object[]>} Normalized file entries
+     */
+    async listFiles(path = STORAGE_PATHS.local) {
+        const response = await this.service.sendCommand(CMD_GET_FILE_LIST, { Url: path });
+        const fileList = Array.isArray(response.FileList) ? response.FileList : [];
+        return fileList.map(entry => normalizeFile(entry, path));
+    }
+
+    /**
+     * Refresh the file list of the selected storage and publish it in files.*
+     * @param {string} [storage] - 'local' or 'usb', defaults to files.storage
+     */
+    async refresh(storage) {
+        if (!storage) {
+            const state = await this.adapter.getStateAsync(`${this.service.prefix}.files.storage`);
+            storage = (state && state.val) || 'local';
+        }
+
+        const path = STORAGE_PATHS[storage];
+        if (!path) {
+            throw new Error(`Unknown storage ${storage}, allowed are ${Object.keys(STORAGE_PATHS).join(', ')}`);
+        }
+
+        this.files = await this.listFiles(path);
+        this.service.log.debug(`Found ${this.files.length} entries in ${path}`);
+
+        await this.service.setState('files.list', JSON.stringify(this.files));
+        await this.service.setState('files.count', this.files.filter(file => !file.isFolder).length);
+        await this.service.setState('files.lastRefresh', new Date().toISOString());
+        await this.updateFileObjects();
+
+        return this.files;
+    }
+
+    /**
+     * Create one channel per file with its metadata and remove channels of files that are gone
+     */
+    async updateFileObjects() {
+        const base = `${this.service.prefix}.files.items`;
+        const current = new Set();
+
+        for (const file of this.files.filter(f => !f.isFolder)) {
+            const id = `${base}.${toObjectId(this.adapter, file.name)}`;
+            current.add(id);
+
+            await this.adapter.setObjectNotExistsAsync(id, {
+                type: 'channel',
+                common: { name: file.name },
+                native: {}
+            });
+
+            const states = [
+                { id: 'path', name: 'Path', type: 'string', role: 'text', value: file.path },
+                { id: 'size', name: 'Size', type: 'number', role: 'value', unit: 'bytes', value: file.size },
+                { id: 'totalLayers', name: 'Total Layers', type: 'number', role: 'value', value: file.totalLayers },
+                { id: 'filamentWeight', name: 'Estimated Filament Weight', type: 'number', role: 'value', unit: 'g', value: file.filamentWeight },
+                { id: 'filamentLength', name: 'Estimated Filament Length', type: 'number', role: 'value', unit: 'm', value: file.filamentLength },
+                { id: 'created', name: 'Created', type: 'string', role: 'value.datetime', value: file.created }
+            ];
+
+            for (const state of states) {
+                await this.adapter.setObjectNotExistsAsync(`${id}.${state.id}`, {
+                    type: 'state',
+                    common: {
+                        name: state.name,
+                        type: state.type,
+                        role: state.role,
+                        unit: state.unit,
+                        read: true,
+                        write: false
+                    },
+                    native: {}
+                });
+                await this.adapter.setState(`${id}.${state.id}`, state.value, true);
+            }
+        }
+
+        const existing = await this.adapter.getObjectViewAsync('system', 'channel', {
+            startkey: `${this.adapter.namespace}.${base}.`,
+            endkey: `${this.adapter.namespace}.${base}.\u9999`
+        });
+        for (const row of existing.rows) {
+            const id = row.id.replace(`${this.adapter.namespace}.`, '');
+            if (!current.has(id)) {
+                await this.adapter.delObjectAsync(id, { recursive: true });
+            }
+        }
+    }
+
+    /**
+     * Start printing a file
+     * @param {string} filename - File name or full path on the printer
+     * @param {{startLayer?: number, autoLeveling?: boolean}} [options]
+     */
+    async startPrint(filename, options = {}) {
+        if (!filename) {
+            throw new Error('No file name given');
+        }
+
+        const startLayer = parseInt(options.startLayer) || 0;
+        if (startLayer < 0) {
+            throw new Error(`Invalid start layer ${options.startLayer}`);
+        }
+
+        if (this.power) {
+            await this.power.powerOn();
+        }
+
+        const path = toPrinterPath(filename);
+        this.service.log.info(`Starting print of ${path} at layer ${startLayer}${options.autoLeveling ? ' with auto-leveling' : ''}`);
+
+        return this.service.sendCommand(CMD_START_PRINT, {
+            Filename: path,
+            StartLayer: startLayer,
+            Calibration_switch: options.autoLeveling ? 1 : 0,
+            PrintPlatformType: 0,
+            Tlp_Switch: 0
+        });
+    }
+
+    /**
+     * Delete a file from the printer and refresh the file list
+     * @param {string} filename - File name or full path on the printer
+     */
+    async deleteFile(filename) {
+        if (!filename) {
+            throw new Error('No file name given');
+        }
+
+        const path = toPrinterPath(filename);
+        this.service.log.info(`Deleting ${path}`);
+
+        const response = await this.service.sendCommand(CMD_DELETE_FILES, { FileList: [path], FolderList: [] });
+        await this.refresh();
+        return response;
+    }
+}
+
+/**
+ * Bring a file list entry into a stable shape independent of the firmware version
+ */
+function normalizeFile(entry, folder) {
+    const rawName = entry.name || entry.FileName || '';
+    const path = rawName.startsWith('/') ? rawName : `${folder}${rawName}`;
+    const created = entry.CreateTime || entry.createTime;
+    const filament = getFilamentEstimate(entry);
+
+    return {
+        name: path.split('/').pop(),
+        path,
+        isFolder: entry.type === 0,
+        size: entry.usedSize || entry.FileSize || entry.size || 0,
+        totalLayers: entry.TotalLayers || entry.totalLayers || 0,
+        filamentWeight: filament.weight,
+        filamentLength: filament.length,
+        created: created ? new Date(created * 1000).toISOString() : ''
+    };
+}
+
+/**
+ * Slicer estimate of the filament usage in a file list entry or PrintInfo.
+ * The printer reports the weight in g and the length in mm.
+ * @returns {{weight: number, length: number}} Weight in g and length in m, 0 if unknown
+ */
+function getFilamentEstimate(source) {
+    const weight = Number(source.EstFilamentWeight || source.FilamentWeight) || 0;
+    const length = Number(source.EstFilamentLength || source.FilamentLength) || 0;
+    return {
+        weight: Math.round(weight * 10) / 10,
+        length: Math.round(length / 10) / 100
+    };
+}
+
+/**
+ * Files without a folder are looked up in local storage
+ */
+function toPrinterPath(filename) {
+    filename = String(filename);
+    return filename.startsWith('/') ? filename : `${STORAGE_PATHS.local}${filename}`;
+}
+
+/**
+ * Turn a file name into a valid object ID segment
+ */
+function toObjectId(adapter, name) {
+    return name.replace(adapter.FORBIDDEN_CHARS, '_').replace(/[.\s]/g, '_');
+}
+
+FileManager.STORAGE_PATHS = STORAGE_PATHS;
+FileManager.getFilamentEstimate = getFilamentEstimate;
+
+module.exports = FileManager;
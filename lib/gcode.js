@@ -0,0 +1,80 @@
+'use strict';
+
+// Embedded thumbnails: '; thumbnail begin 300x300 12345', PrusaSlicer also writes thumbnail_PNG / thumbnail_JPG
+const THUMBNAIL_PATTERN = /^;\s*thumbnail(?:_(PNG|JPG|QOI))? begin (\d+)x(\d+)[^\n]*\n([\s\S]*?)^;\s*thumbnail(?:_\w+)? end/gim;
+const THUMBNAIL_TYPES = { PNG: 'image/png', JPG: 'image/jpeg' };
+
+// Comment lines of PrusaSlicer, OrcaSlicer / ElegooSlicer and Cura, the first match wins
+const PATTERNS = {
+    slicer: [/^;\s*generated (?:by|with) (.+?)(?: on \d.*)?$/im],
+    layerHeight: [/^;\s*layer_height\s*=\s*([\d.]+)/im, /^;\s*Layer height:\s*([\d.]+)/im],
+    filamentType: [/^;\s*filament_type\s*=\s*(.+)$/im],
+    filamentWeight: [/^;\s*total filament weight \[g\]\s*[:=]\s*([\d.]+)/im, /^;\s*filament used \[g\]\s*=\s*([\d.]+)/im],
+    estimatedTime: [/total estimated time:\s*([\dwdhms ]+)/i, /^;\s*estimated printing time(?: \(normal mode\))?\s*=\s*([\dwdhms ]+)/im, /^;TIME:(\d+)/m]
+};
+
+/**
+ * Read the embedded thumbnail and slicer metadata from G-code comments
+ * @param {string} text - G-code, usually the start and the end of the file
+ * @returns {{thumbnail: string, slicer: string, layerHeight: number, filamentType: string, filamentWeight: number, estimatedTime: number}}
+ *   Thumbnail as data URL, layer height in mm, filament weight in g and estimated time in seconds; empty or 0 if unknown
+ */
+function parseGcodeMetadata(text) {
+    const match = key => {
+        for (const pattern of PATTERNS[key]) {
+            const result = pattern.exec(text);
+            if (result) {
+                return result[1].trim();
+            }
+        }
+        return '';
+    };
+
+    // Multi-material files list one value per extruder separated by ';'
+    const filamentTypes = match('filamentType').split(';').map(type => type.trim()).filter(Boolean);
+
+    return {
+        thumbnail: getLargestThumbnail(text),
+        slicer: match('slicer'),
+        layerHeight: parseFloat(match('layerHeight')) || 0,
+        filamentType: [...new Set(filamentTypes)].join(', '),
+        filamentWeight: Math.round((parseFloat(match('filamentWeight')) || 0) * 10) / 10,
+        estimatedTime: parseDuration(match('estimatedTime'))
+    };
+}
+
+/**
+ * The biggest embedded PNG or JPEG thumbnail as data URL
+ */
+function getLargestThumbnail(text) {
+    let best = null;
+    THUMBNAIL_PATTERN.lastIndex = 0;
+
+    for (let result = THUMBNAIL_PATTERN.exec(text); result; result = THUMBNAIL_PATTERN.exec(text)) {
+        const type = THUMBNAIL_TYPES[(result[1] || 'PNG').toUpperCase()];
+        const size = parseInt(result[2]) * parseInt(result[3]);
+        if (type && (!best || size > best.size)) {
+            best = { type, size, data: result[4].replace(/^;\s?/gm, '').replace(/\s/g, '') };
+        }
+    }
+
+    return best ? `data:${best.type};base64,${best.data}` : '';
+}
+
+/**
+ * Convert '1d 2h 3m 4s' or plain seconds into seconds
+ */
+function parseDuration(value) {
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+
+    const units = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+    let seconds = 0;
+    for (const [, amount, unit] of value.matchAll(/(\d+)\s*([wdhms])/g)) {
+        seconds += parseInt(amount) * units[unit];
+    }
+    return seconds;
+}
+
+module.exports = { parseGcodeMetadata, parseDuration };
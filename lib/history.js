@@ -0,0 +1,294 @@
+'use strict';
+
+const { STATUS_CODES, isPrinterIdle } = require('./messages');
+
+// SDCP history commands
+const CMD_GET_HISTORY = 320;
+const CMD_GET_HISTORY_DETAILS = 321;
+
+// Number of printer history tasks fetched with details
+const PRINTER_HISTORY_TASKS = 20;
+
+/**
+ * Detects print jobs from PrintInfo.Status transitions and keeps a persisted
+ * history with per-job statistics and totals. Also fetches the printer's own history.
+ * Emits 'jobStarted' (job), 'jobFinished' (job) and 'printerHistory' (tasks) on the monitoring service.
+ * 'jobFinishing' (job) is emitted before a finished job is stored, so listeners can add their figures to it.
+ */
+class PrintHistory {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     */
+    constructor(adapter, service) {
+        this.adapter = adapter;
+        this.service = service;
+        this.jobs = [];
+        this.currentJob = null;
+        this.printerHistory = [];
+        this.totals = { jobs: 0, completed: 0, cancelled: 0, failed: 0, printSeconds: 0 };
+
+        this.service.on('printStatus', (status, previousStatus, printInfo) => {
+            this.onPrintStatus(status, previousStatus, printInfo).catch(error => this.service.log.warn(`Failed to update print history: ${error.message}`));
+        });
+        this.service.on('status', status => this.onStatus(status));
+        this.service.on('connection', connected => {
+            if (connected) {
+                this.refreshPrinterHistory().catch(error => this.service.log.debug(`Failed to load printer history: ${error.message}`));
+            }
+        });
+    }
+
+    /**
+     * Restore history, totals and a job that was running when the adapter stopped
+     */
+    async init() {
+        this.jobs = await this.readJson('history.jobs', []);
+        this.currentJob = await this.readJson('history.currentJob', null);
+
+        for (const key of Object.keys(this.totals)) {
+            const id = key === 'printSeconds' ? 'history.totals.printHours' : `history.totals.${key}`;
+            const state = await this.adapter.getStateAsync(`${this.service.prefix}.${id}`);
+            const value = state && typeof state.val === 'number' ? state.val : 0;
+            this.totals[key] = key === 'printSeconds' ? Math.round(value * 3600) : value;
+        }
+    }
+
+    /**
+     * Start or finish a job on transitions between idle and active states
+     */
+    async onPrintStatus(status, previousStatus, printInfo) {
+        const isIdle = isPrinterIdle(status);
+        const wasIdle = previousStatus === undefined || isPrinterIdle(previousStatus);
+
+        if (!isIdle && wasIdle) {
+            await this.startJob(printInfo, previousStatus === undefined);
+        } else if (isIdle && !wasIdle && this.currentJob) {
+            await this.finishJob(status, printInfo);
+        } else if (isIdle && previousStatus === undefined && this.currentJob) {
+            // The job ended while the adapter was not running
+            await this.finishJob(status, printInfo);
+        }
+    }
+
+    /**
+     * Track layer progress and peak temperatures of the running job
+     */
+    onStatus(status) {
+        const job = this.currentJob;
+        if (!job) {
+            return;
+        }
+
+        job.peakNozzle = Math.max(job.peakNozzle, roundTemperature(status.TempOfNozzle));
+        job.peakBed = Math.max(job.peakBed, roundTemperature(status.TempOfHotbed));
+        job.peakChamber = Math.max(job.peakChamber, roundTemperature(status.TempOfBox));
+
+        if (status.PrintInfo) {
+            const layers = status.PrintInfo.CurrentLayer || job.layers;
+            job.totalLayers = status.PrintInfo.TotalLayer || job.totalLayers;
+
+            // Persist progress once per layer so a restart keeps the statistics
+            if (layers !== job.layers) {
+                job.layers = layers;
+                job.lastSeen = new Date().toISOString();
+                this.service.setState('history.currentJob', JSON.stringify(job));
+            }
+        }
+    }
+
+    async startJob(printInfo, resumedAfterRestart) {
+        const filename = printInfo.Filename || '';
+
+        // Keep the stored job if the adapter restarted during the same print
+        if (resumedAfterRestart && this.currentJob && this.currentJob.filename === filename) {
+            this.service.log.debug(`Continuing tracking of ${filename}`);
+            return;
+        }
+
+        // The job from before the restart ended while the adapter was not running
+        if (this.currentJob) {
+            const stale = this.currentJob;
+            this.service.log.info(`Print job ${stale.filename} ended while the adapter was not running`);
+            await this.storeJob(stale, new Date(stale.lastSeen || stale.start), 'unknown');
+        }
+
+        // A job the adapter joined late started CurrentTicks seconds ago
+        const elapsed = resumedAfterRestart ? (printInfo.CurrentTicks || 0) * 1000 : 0;
+        this.currentJob = {
+            filename,
+            start: new Date(Date.now() - elapsed).toISOString(),
+            end: null,
+            duration: 0,
+            result: null,
+            layers: printInfo.CurrentLayer || 0,
+            totalLayers: printInfo.TotalLayer || 0,
+            peakNozzle: 0,
+            peakBed: 0,
+            peakChamber: 0,
+            taskId: printInfo.TaskId || ''
+        };
+
+        this.service.log.info(`Print job ${filename} started`);
+        await this.service.setState('history.currentJob', JSON.stringify(this.currentJob));
+        this.service.emit('jobStarted', this.currentJob);
+    }
+
+    async finishJob(status, printInfo) {
+        const job = this.currentJob;
+        job.layers = (printInfo && printInfo.CurrentLayer) || job.layers;
+        await this.storeJob(job, new Date(), getJobResult(status, printInfo));
+    }
+
+    /**
+     * Complete a job and add it to the history and the totals
+     * @param {object} job - The current job
+     * @param {Date} end - End of the job
+     * @param {string} result - complete, cancelled, error or unknown if the end was missed
+     */
+    async storeJob(job, end, result) {
+        job.end = end.toISOString();
+        job.duration = Math.max(0, Math.round((end.getTime() - new Date(job.start).getTime()) / 1000));
+        job.result = result;
+        delete job.lastSeen;
+        this.service.emit('jobFinishing', job);
+
+        this.currentJob = null;
+        this.jobs.push(job);
+
+        const maxEntries = parseInt(this.adapter.config.historyMaxEntries) || 200;
+        if (this.jobs.length > maxEntries) {
+            this.jobs = this.jobs.slice(-maxEntries);
+        }
+
+        this.totals.jobs++;
+        this.totals.printSeconds += job.duration;
+        if (job.result === 'complete') {
+            this.totals.completed++;
+        } else if (job.result === 'cancelled') {
+            this.totals.cancelled++;
+        } else if (job.result !== 'unknown') {
+            this.totals.failed++;
+        }
+
+        this.service.log.info(`Print job ${job.filename} finished: ${job.result} after ${job.duration}s`);
+
+        await this.service.setState('history.currentJob', '');
+        await this.service.setState('history.jobs', JSON.stringify(this.jobs));
+        await this.updateLastJob(job);
+        await this.updateTotals();
+        this.service.emit('jobFinished', job);
+
+        // The printer's own history now contains the finished job as well
+        this.refreshPrinterHistory().catch(error => this.service.log.debug(`Failed to load printer history: ${error.message}`));
+    }
+
+    async updateLastJob(job) {
+        for (const key of PrintHistory.LAST_JOB_FIELDS) {
+            if (job[key] !== undefined) {
+                await this.service.setState(`history.lastJob.${key}`, job[key] === null ? '' : job[key]);
+            }
+        }
+    }
+
+    async updateTotals() {
+        const totals = this.totals;
+        await this.service.setState('history.totals.jobs', totals.jobs);
+        await this.service.setState('history.totals.completed', totals.completed);
+        await this.service.setState('history.totals.cancelled', totals.cancelled);
+        await this.service.setState('history.totals.failed', totals.failed);
+        await this.service.setState('history.totals.printHours', Math.round(totals.printSeconds / 36) / 100);
+        await this.service.setState('history.totals.successRate', totals.jobs ? Math.round(totals.completed / totals.jobs * 1000) / 10 : 0);
+    }
+
+    /**
+     * Fetch the most recent tasks from the printer's own history (cmd 320/321)
+     */
+    async refreshPrinterHistory() {
+        const response = await this.service.sendCommand(CMD_GET_HISTORY, {});
+        const taskIds = Array.isArray(response.HistoryData) ? response.HistoryData.slice(-PRINTER_HISTORY_TASKS) : [];
+
+        let tasks = [];
+        if (taskIds.length) {
+            const details = await this.service.sendCommand(CMD_GET_HISTORY_DETAILS, { Id: taskIds });
+            tasks = Array.isArray(details.HisTaskDetailInfo) ? details.HisTaskDetailInfo.map(normalizeTask) : [];
+        }
+
+        this.printerHistory = tasks;
+        await this.service.setState('history.printer', JSON.stringify(tasks));
+        this.service.emit('printerHistory', tasks);
+        return tasks;
+    }
+
+    /**
+     * Filter the adapter or printer history
+     * @param {{from?: string|number, to?: string|number, result?: string, source?: string}} [filter]
+     */
+    getHistory(filter = {}) {
+        const from = filter.from ? new Date(filter.from).getTime() : -Infinity;
+        const to = filter.to ? new Date(filter.to).getTime() : Infinity;
+        if (isNaN(from) || isNaN(to)) {
+            throw new Error('Invalid date range');
+        }
+
+        const jobs = filter.source === 'printer' ? this.printerHistory : this.jobs;
+        return jobs.filter(job => {
+            const start = new Date(job.start).getTime();
+            return start >= from && start <= to && (!filter.result || job.result === filter.result);
+        });
+    }
+
+    async readJson(id, fallback) {
+        const state = await this.adapter.getStateAsync(`${this.service.prefix}.${id}`);
+        if (!state || !state.val) {
+            return fallback;
+        }
+        try {
+            return JSON.parse(state.val);
+        } catch (error) {
+            this.service.log.warn(`Ignoring invalid ${id}: ${error.message}`);
+            return fallback;
+        }
+    }
+}
+
+/**
+ * Result of a job that ended with the given PrintInfo.Status
+ */
+function getJobResult(status, printInfo) {
+    if (printInfo && printInfo.ErrorNumber) {
+        return 'error';
+    }
+    return STATUS_CODES[status] === 'COMPLETE' ? 'complete' : 'cancelled';
+}
+
+/**
+ * Bring an entry of HisTaskDetailInfo into the shape of adapter history entries
+ */
+function normalizeTask(task) {
+    const begin = task.BeginTime ? new Date(task.BeginTime * 1000) : null;
+    const end = task.EndTime ? new Date(task.EndTime * 1000) : null;
+    // TaskStatus: 1 = completed, 2 = error, 3 = stopped
+    const results = { 1: 'complete', 2: 'error', 3: 'cancelled' };
+
+    return {
+        taskId: task.TaskId || '',
+        filename: task.TaskName || '',
+        start: begin ? begin.toISOString() : '',
+        end: end ? end.toISOString() : '',
+        duration: begin && end ? Math.round((end.getTime() - begin.getTime()) / 1000) : 0,
+        result: results[task.TaskStatus] || 'unknown',
+        layers: task.AlreadyPrintLayer || 0,
+        thumbnail: task.Thumbnail || '',
+        timelapseUrl: task.TimeLapseVideoUrl || '',
+        errorReason: task.ErrorStatusReason || 0
+    };
+}
+
+function roundTemperature(value) {
+    return typeof value === 'number' ? Math.round(value * 10) / 10 : 0;
+}
+
+PrintHistory.LAST_JOB_FIELDS = ['filename', 'start', 'end', 'duration', 'result', 'layers', 'peakNozzle', 'peakBed', 'peakChamber', 'filamentWeight', 'filamentLength', 'filamentCost', 'energy', 'energyCost'];
+
+module.exports = PrintHistory;
@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+/**
+ * Issue an HTTP GET request and collect the response body.
+ * @param {string} url - Request URL
+ * @param {{timeout?: number, headers?: object, maxBytes?: number}} [options] - Timeout in milliseconds, extra headers
+ *   and the number of bytes after which the body is cut off
+ * @returns {Promise<{statusCode: number, headers: object, body: Buffer, truncated?: boolean}>}
+ */
+function httpGet(url, options = {}) {
+    return new Promise((resolve, reject) => {
+        const client = /^https:/i.test(url) ? https : http;
+        const request = client.get(url, { headers: options.headers || {} }, (response) => {
+            const chunks = [];
+            let bytes = 0;
+            response.on('data', chunk => {
+                chunks.push(chunk);
+                bytes += chunk.length;
+                if (options.maxBytes && bytes >= options.maxBytes && response.statusCode < 400) {
+                    resolve({ statusCode: response.statusCode, headers: response.headers, body: Buffer.concat(chunks).subarray(0, options.maxBytes), truncated: true });
+                    request.destroy();
+                }
+            });
+            response.on('end', () => {
+                const body = Buffer.concat(chunks);
+                if (response.statusCode >= 400) {
+                    return reject(new Error(`HTTP ${response.statusCode} for ${url}`));
+                }
+                resolve({ statusCode: response.statusCode, headers: response.headers, body });
+            });
+            response.on('error', reject);
+        });
+
+        request.setTimeout(options.timeout || 10000, () => request.destroy(new Error(`Request to ${url} timed out`)));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Download a URL into a file
+ * @param {string} url - Request URL
+ * @param {string} file - Target file path
+ * @param {{timeout?: number}} [options] - Idle timeout in milliseconds
+ * @returns {Promise<number>} Number of bytes written
+ */
+function httpDownload(url, file, options = {}) {
+    return new Promise((resolve, reject) => {
+        let output = null;
+        let failed = false;
+        // Remove the partial file, so it is not taken for a complete download later
+        const fail = error => {
+            if (failed) {
+                return;
+            }
+            failed = true;
+            if (!output) {
+                return reject(error);
+            }
+            output.destroy();
+            fs.unlink(file, () => reject(error));
+        };
+
+        const request = http.get(url, (response) => {
+            if (response.statusCode >= 400) {
+                response.resume();
+                return fail(new Error(`HTTP ${response.statusCode} for ${url}`));
+            }
+
+            output = fs.createWriteStream(file);
+            let bytes = 0;
+            response.on('data', chunk => bytes += chunk.length);
+            response.pipe(output);
+            output.on('finish', () => {
+                if (!failed) {
+                    resolve(bytes);
+                }
+            });
+            output.on('error', fail);
+            response.on('error', fail);
+        });
+
+        request.setTimeout(options.timeout || 30000, () => request.destroy(new Error(`Download of ${url} timed out`)));
+        request.on('error', fail);
+    });
+}
+
+/**
+ * POST a multipart/form-data request with text fields and one file
+ * @param {string} url - Request URL
+ * @param {object} fields - Form fields, values are converted to strings
+ * @param {{field: string, filename: string, data: Buffer}} file - File part
+ * @param {{timeout?: number}} [options] - Timeout in milliseconds
+ * @returns {Promise<{statusCode: number, headers: object, body: Buffer}>}
+ */
+function httpPostForm(url, fields, file, options = {}) {
+    const boundary = `----iobroker${crypto.randomBytes(12).toString('hex')}`;
+    const parts = Object.entries(fields).map(([name, value]) =>
+        Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\nContent-Type: application/octet-stream\r\n\r\n`));
+    parts.push(file.data);
+    parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+    const payload = Buffer.concat(parts);
+
+    return new Promise((resolve, reject) => {
+        const request = http.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': `multipart/form-data; boundary=${boundary}`,
+                'Content-Length': payload.length
+            }
+        }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                const body = Buffer.concat(chunks);
+                if (response.statusCode >= 400) {
+                    return reject(new Error(`HTTP ${response.statusCode} for ${url}`));
+                }
+                resolve({ statusCode: response.statusCode, headers: response.headers, body });
+            });
+            response.on('error', reject);
+        });
+
+        request.setTimeout(options.timeout || 30000, () => request.destroy(new Error(`Request to ${url} timed out`)));
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+/**
+ * Make a URL returned by the printer absolute. The printer reports some URLs
+ * without scheme (e.g. '192.168.1.5:3031/video') or as a path only.
+ */
+function toAbsoluteUrl(url, host) {
+    if (/^https?:\/\//i.test(url)) {
+        return url;
+    }
+    if (url.startsWith(host)) {
+        return `http://${url}`;
+    }
+    return `http://${host}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+module.exports = { httpGet, httpDownload, httpPostForm, toAbsoluteUrl };
@@ -2,6 +2,10 @@
 // This file defines the status and error codes received from the printer.
 // The keys are used for translation and internal logic.
 
+const fs = require('fs');
+const path = require('path');
+
+// Print sub-status from Status.PrintInfo.Status
 const STATUS_CODES = {
     0: 'IDLE',
     1: 'HOMING',
@@ -24,6 +28,23 @@ const STATUS_CODES = {
     21: 'LOADING', // Alternate code for LOADING
 };
 
+// Machine status from Status.CurrentStatus (an array, the printer can be in several states at once)
+const MACHINE_STATUS_CODES = {
+    0: 'IDLE',
+    1: 'PRINTING',
+    2: 'FILE_TRANSFERRING',
+    3: 'EXPOSURE_TESTING',
+    4: 'DEVICES_TESTING',
+    5: 'LEVELING',
+    6: 'INPUT_SHAPING',
+    7: 'STOPPING',
+    8: 'STOPPED',
+    9: 'HOMING',
+    10: 'LOADING_UNLOADING',
+    11: 'PID_TUNING',
+    12: 'RECOVERY',
+};
+
 const ERROR_CODES = {
     101: 'ERROR_BED_HEAT_FAILED',
     102: 'ERROR_BED_NTC',
@@ -36,4 +57,101 @@ const ERROR_CODES = {
     // Add more error codes here
 };
 
-module.exports = { STATUS_CODES, ERROR_CODES };
+// Print states in which the printer is free to start a new job
+const IDLE_STATUSES = ['IDLE', 'STOPPED', 'COMPLETE'];
+
+// Loaded translation files, keyed by language
+const translations = {};
+
+/**
+ * Check whether a PrintInfo.Status code means no job is running
+ */
+function isPrinterIdle(statusCode) {
+    return IDLE_STATUSES.includes(STATUS_CODES[statusCode]);
+}
+
+/**
+ * Stable key of a PrintInfo.Status code, 'UNKNOWN' for codes not listed above
+ */
+function getStatusKey(statusCode) {
+    return STATUS_CODES[statusCode] || 'UNKNOWN';
+}
+
+/**
+ * Stable key of the machine status. CurrentStatus is an array; the first entry is the main status.
+ */
+function getMachineStatusKey(currentStatus) {
+    const code = Array.isArray(currentStatus) ? currentStatus[0] : currentStatus;
+    if (code === undefined || code === null) {
+        return 'UNKNOWN';
+    }
+    return MACHINE_STATUS_CODES[code] || 'UNKNOWN';
+}
+
+/**
+ * Stable key of an error code, '' if there is no error
+ */
+function getErrorKey(errorCode) {
+    if (!errorCode) {
+        return '';
+    }
+    return ERROR_CODES[errorCode] || 'ERROR_UNKNOWN';
+}
+
+/**
+ * Translate a key with the admin translations, falling back to English and then the key itself
+ * @param {string} key - Translation key, e.g. 'PRINTING' or 'ERROR_BED_NTC'
+ * @param {string} [language] - ioBroker system language
+ */
+function translate(key, language = 'en') {
+    const texts = loadTranslations(language);
+    if (texts[key]) {
+        return texts[key];
+    }
+    return language !== 'en' ? translate(key, 'en') : key;
+}
+
+/**
+ * Translated text of an error code including the code itself, '' if there is no error
+ */
+function getErrorText(errorCode, language) {
+    const key = getErrorKey(errorCode);
+    return key ? `${translate(key, language)} (${errorCode})` : '';
+}
+
+/**
+ * common.states object for enum states, mapping each key to its translated text
+ * @param {object} codes - STATUS_CODES or MACHINE_STATUS_CODES
+ */
+function getStates(codes, language) {
+    const states = {};
+    for (const key of [...new Set(Object.values(codes)), 'UNKNOWN']) {
+        states[key] = translate(key, language);
+    }
+    return states;
+}
+
+function loadTranslations(language) {
+    if (!translations[language]) {
+        try {
+            const file = path.join(__dirname, '..', 'admin', 'i18n', language, 'translations.json');
+            translations[language] = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            translations[language] = {};
+        }
+    }
+    return translations[language];
+}
+
+module.exports = {
+    STATUS_CODES,
+    MACHINE_STATUS_CODES,
+    ERROR_CODES,
+    isPrinterIdle,
+    getStatusKey,
+    getMachineStatusKey,
+    getErrorKey,
+    getErrorText,
+    getStates,
+    translate
+};
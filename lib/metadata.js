@@ -0,0 +1,125 @@
+'use strict';
+
+const { httpGet, toAbsoluteUrl } = require('./http');
+const { parseGcodeMetadata } = require('./gcode');
+const FileManager = require('./files');
+
+// Bytes read from the start (header and thumbnails) and the end (slicer settings) of a G-code file
+const HEAD_BYTES = 512 * 1024;
+const TAIL_BYTES = 256 * 1024;
+
+const EMPTY_METADATA = { thumbnail: '', slicer: '', layerHeight: 0, filamentType: '', filamentWeight: 0, estimatedTime: 0 };
+
+/**
+ * Publishes the thumbnail and slicer metadata of the current job in print.thumbnail and print.meta.*.
+ * The G-code is read partially from the printer's web server whenever PrintInfo.Filename changes.
+ * If the file has no thumbnail, the one of the task in the printer's own history is used.
+ */
+class JobMetadata {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     * @param {import('./files')} files - File manager with the file list
+     * @param {import('./history')} history - Print history with the printer's own tasks
+     */
+    constructor(adapter, service, files, history) {
+        this.adapter = adapter;
+        this.service = service;
+        this.files = files;
+        this.history = history;
+        this.filename = null;
+
+        this.service.on('status', status => {
+            const printInfo = status.PrintInfo;
+            if (printInfo && typeof printInfo.Filename === 'string' && printInfo.Filename !== this.filename) {
+                this.filename = printInfo.Filename;
+                this.update(printInfo).catch(error => this.service.log.warn(`Failed to load metadata of ${printInfo.Filename}: ${error.message}`));
+            }
+        });
+    }
+
+    /**
+     * Load and publish the metadata of the file in PrintInfo, or clear it when no file is loaded
+     */
+    async update(printInfo) {
+        const filename = printInfo.Filename;
+        let metadata = EMPTY_METADATA;
+
+        if (filename) {
+            this.service.log.debug(`Loading metadata of ${filename}`);
+            metadata = await this.load(printInfo);
+        }
+
+        // A newer file name arrived while loading
+        if (filename !== this.filename) {
+            return;
+        }
+        await this.publish(metadata);
+    }
+
+    async load(printInfo) {
+        const filename = printInfo.Filename;
+        let metadata = { ...EMPTY_METADATA };
+        try {
+            metadata = parseGcodeMetadata(await this.readGcode(filename));
+        } catch (error) {
+            this.service.log.debug(`Cannot read ${filename} from the printer: ${error.message}`);
+        }
+
+        if (!metadata.filamentWeight) {
+            const file = this.files.files.find(entry => entry.path === filename || entry.name === filename);
+            metadata.filamentWeight = FileManager.getFilamentEstimate(printInfo).weight || (file ? file.filamentWeight : 0);
+        }
+        if (!metadata.thumbnail && printInfo.TaskId) {
+            metadata.thumbnail = await this.loadTaskThumbnail(printInfo.TaskId);
+        }
+        return metadata;
+    }
+
+    /**
+     * Read the start and the end of a G-code file, the part in between only holds moves
+     */
+    async readGcode(filename) {
+        const path = filename.startsWith('/') ? filename : `${FileManager.STORAGE_PATHS.local}${filename}`;
+        const url = `http://${this.service.printer.ip}:${this.adapter.config.websocketPort}${encodeURI(path)}`;
+
+        const head = await httpGet(url, { headers: { Range: `bytes=0-${HEAD_BYTES - 1}` }, maxBytes: HEAD_BYTES, timeout: 15000 });
+        // 200 instead of 206: the server ignored the range and sent the file from the start
+        if (head.statusCode !== 206) {
+            return head.body.toString('utf8');
+        }
+
+        const tail = await httpGet(url, { headers: { Range: `bytes=-${TAIL_BYTES}` }, maxBytes: TAIL_BYTES, timeout: 15000 });
+        return `${head.body.toString('utf8')}\n${tail.body.toString('utf8')}`;
+    }
+
+    /**
+     * Fetch the thumbnail the printer stored for the task as data URL
+     */
+    async loadTaskThumbnail(taskId) {
+        const task = this.history.printerHistory.find(entry => entry.taskId === taskId);
+        if (!task || !task.thumbnail) {
+            return '';
+        }
+
+        try {
+            const response = await httpGet(toAbsoluteUrl(task.thumbnail, this.service.printer.ip), { timeout: 10000 });
+            const type = response.headers['content-type'] || 'image/png';
+            return `data:${type};base64,${response.body.toString('base64')}`;
+        } catch (error) {
+            this.service.log.debug(`Failed to load thumbnail of task ${taskId}: ${error.message}`);
+            return '';
+        }
+    }
+
+    async publish(metadata) {
+        await this.service.setState('print.thumbnail', metadata.thumbnail);
+        await this.service.setState('print.meta.slicer', metadata.slicer);
+        await this.service.setState('print.meta.layerHeight', metadata.layerHeight);
+        await this.service.setState('print.meta.filamentType', metadata.filamentType);
+        await this.service.setState('print.meta.filamentWeight', metadata.filamentWeight);
+        await this.service.setState('print.meta.estimatedTime', metadata.estimatedTime);
+    }
+}
+
+module.exports = JobMetadata;
@@ -2,25 +2,223 @@
 
 'use strict';
 
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 const WebSocket = require('ws');
+const utils = require('@iobroker/adapter-core');
+const { discoverPrinters, selectPrinter } = require('./discovery');
+const { rgbToHex, getSpeedMode } = require('./control');
+const { getStatusKey, getMachineStatusKey, getErrorText, translate, isPrinterIdle } = require('./messages');
 
-class MonitoringService {
-constructor(adapter) {
+// Delay of the first reconnect attempt, doubled on every failed attempt up to reconnectInterval
+const RECONNECT_BASE_DELAY = 2000;
+// Random share added to or removed from each reconnect delay
+const RECONNECT_JITTER = 0.2;
+// Interval of WebSocket pings; the printer closes idle connections after 60 s
+const KEEP_ALIVE_INTERVAL = 50000;
+// Status is considered stale after this many missed polls
+const STALE_POLLS = 3;
+// SDCP command subscribing to periodic status pushes
+const CMD_SUBSCRIBE_STATUS = 512;
+// Polling takes over when this many pushes in a row are missing
+const MISSED_PUSHES = 2;
+// SDCP command requesting the printer attributes
+const CMD_REQUEST_ATTRIBUTES = 1;
+
+// Printer attributes and the info.device state they are written to
+const DEVICE_ATTRIBUTES = {
+    Name: 'name',
+    MachineName: 'model',
+    BrandName: 'brand',
+    FirmwareVersion: 'firmware',
+    ProtocolVersion: 'protocolVersion',
+    MainboardID: 'mainboardId',
+    MainboardIP: 'ip',
+    MainboardMAC: 'mac',
+    Resolution: 'resolution',
+    XYZsize: 'buildVolume'
+};
+
+// SDCP acknowledgement codes in command responses
+const ACK_MESSAGES = {
+    0: 'Success',
+    1: 'Failed/Error',
+    2: 'File Not Found'
+};
+
+/**
+ * Prefix every log line with the printer name so multiple printers can be told apart
+ */
+function createPrinterLogger(log, name) {
+    const logger = {};
+    for (const level of ['silly', 'debug', 'info', 'warn', 'error']) {
+        logger[level] = (message) => log[level](`[${name}] ${message}`);
+    }
+    return logger;
+}
+
+/**
+ * Connection and status handling for a single printer.
+ * States are written below printers.<id>. Emits 'connection' (connected) on connection changes
+ * 'printStatus' (status, previousStatus, printInfo) when PrintInfo.Status changes,
+ * 'status' (status) after every processed status message
+ * and 'firmwareChanged' (previousVersion, version) when the printer reports a new firmware.
+ */
+class MonitoringService extends EventEmitter {
+constructor(adapter, printer) {
+super();
 this.adapter = adapter;
+this.printer = printer;
+this.prefix = `printers.${printer.id}`;
+this.log = createPrinterLogger(adapter.log, printer.name || printer.id);
 this.ws = null;
 this.reconnectTimer = null;
 this.pollTimer = null;
 this.keepAliveTimer = null;
+this.pongTimer = null;
+this.pingSentAt = 0;
+// Time of the last message from the printer, used to detect stale connections
+this.lastMessageAt = 0;
+this.reconnectAttempts = 0;
+// Period of the active status push subscription in ms, 0 if the printer is polled
+this.pushPeriod = 0;
+this.lastPushAt = 0;
+// Set while the answer to a status request is expected, so it is not taken for a push
+this.awaitingPolledStatus = false;
+this.isPollingFallback = false;
+this.hasConnected = false;
+this.reconnects = 0;
 this.requestId = 0;
+this.pendingRequests = new Map();
+// Sent in every command, learned from the printer if not configured
+this.mainboardId = printer.mainboardId || '';
+// Last written value and time per state ID, so only changes are written
+this.stateCache = new Map();
+// Matching state filter per state ID
+this.stateFilters = new Map();
+// Open capture file while all frames are recorded
+this.captureStream = null;
+this.captureFile = '';
+// Last known light state, so changing one part keeps the others
+this.lightStatus = { SecondLight: false, RgbLight: [0, 0, 0] };
+// Last PrintInfo.Status, undefined until the first status arrived
+this.printStatus = undefined;
 this.isConnected = false;
+this.isStopped = false;
 this.config = adapter.config;
 }
 
+/**
+ * Write an acknowledged state below this printer's device.
+ * Unchanged values and changes within the deadband of a state filter are skipped,
+ * unless the filter forces an update after some minutes.
+ */
+setState(id, value) {
+    const now = Date.now();
+    const cached = this.stateCache.get(id);
+
+    if (cached && !this.needsUpdate(id, cached, value, now)) {
+        return Promise.resolve();
+    }
+
+    this.stateCache.set(id, { value, time: now });
+    return this.adapter.setState(`${this.prefix}.${id}`, value, true);
+}
+
+/**
+ * Decide whether a value differs enough from the last written one
+ */
+needsUpdate(id, cached, value, now) {
+    const filter = this.getStateFilter(id);
+
+    if (filter && filter.forceUpdate && now - cached.time >= filter.forceUpdate * 60000) {
+        return true;
+    }
+    if (filter && filter.deadband && typeof value === 'number' && typeof cached.value === 'number') {
+        return Math.abs(value - cached.value) >= filter.deadband;
+    }
+    return value !== cached.value;
+}
+
+/**
+ * First configured state filter whose pattern matches the state ID
+ */
+getStateFilter(id) {
+    if (!this.stateFilters.has(id)) {
+        this.stateFilters.set(id, (this.config.stateFilters || []).find(filter => filter.regex.test(id)) || null);
+    }
+    return this.stateFilters.get(id);
+}
+
+/**
+ * Forget the cached value of a state that was written from outside, e.g. by a user
+ */
+forgetState(id) {
+    this.stateCache.delete(id);
+}
+
+/**
+ * Update the connection flag and notify listeners if it changed
+ */
+setConnected(connected) {
+    const changed = this.isConnected !== connected;
+    this.isConnected = connected;
+    if (changed) {
+        this.emit('connection', connected);
+    }
+    return this.setState('info.connection', connected);
+}
+
+/**
+ * Remember the last connection problem in info.lastError
+ */
+setLastError(message) {
+    this.setState('info.lastError', `${new Date().toISOString()} ${message}`);
+}
+
+/**
+ * Start or stop recording all inbound and outbound frames.
+ * Frames are written as JSON lines { time, direction: 'in' | 'out' | 'event', data }
+ * to capture_<timestamp>.jsonl in the instance data directory, for lib/simulator.js or bug reports.
+ */
+setCapture(enabled) {
+    if (enabled && !this.captureStream) {
+        const dir = path.join(utils.getAbsoluteInstanceDataDir(this.adapter), this.printer.id);
+        fs.mkdirSync(dir, { recursive: true });
+        this.captureFile = path.join(dir, `capture_${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+        this.captureStream = fs.createWriteStream(this.captureFile, { flags: 'a' });
+        this.captureStream.on('error', error => {
+            this.log.warn(`Capture stopped: ${error.message}`);
+            this.captureStream = null;
+        });
+        this.log.info(`Capturing SDCP frames to ${this.captureFile}`);
+        this.captureFrame('event', { capture: 'start', connected: this.isConnected });
+        this.setState('info.captureFile', this.captureFile);
+    } else if (!enabled && this.captureStream) {
+        this.captureFrame('event', { capture: 'stop' });
+        this.captureStream.end();
+        this.captureStream = null;
+        this.log.info(`Capture written to ${this.captureFile}`);
+    }
+    this.setState('controls.capture', !!this.captureStream);
+}
+
+/**
+ * Append a frame to the capture file if capturing
+ */
+captureFrame(direction, data) {
+    if (this.captureStream) {
+        this.captureStream.write(`${JSON.stringify({ time: Date.now(), direction, data })}\n`);
+    }
+}
+
 /**
  * Start monitoring the printer
  */
 async start() {
-    this.adapter.log.info('Starting monitoring service');
+    this.log.info('Starting monitoring service');
+    this.isStopped = false;
     this.connect();
 }
 
@@ -28,20 +226,15 @@ async start() {
  * Stop monitoring the printer
  */
 async stop() {
-    this.adapter.log.info('Stopping monitoring service');
+    this.log.info('Stopping monitoring service');
     
+    this.isStopped = true;
     this.clearTimers();
+    this.rejectAllRequests('Monitoring stopped');
+    this.closeSocket();
+    this.setCapture(false);
     
-    if (this.ws) {
-        this.ws.removeAllListeners();
-        if (this.ws.readyState === WebSocket.OPEN) {
-            this.ws.close();
-        }
-        this.ws = null;
-    }
-    
-    this.isConnected = false;
-    await this.adapter.setState('info.connection', false, true);
+    await this.setConnected(false);
 }
 
 /**
@@ -49,15 +242,17 @@ async stop() {
  */
 connect() {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.adapter.log.debug('WebSocket already connected');
+        this.log.debug('WebSocket already connected');
         return;
     }
 
     this.clearTimers();
+    // Drop a socket that is still connecting or closing
+    this.closeSocket();
 
     // CRITICAL FIX: Use correct SDCP WebSocket URL format
-    const wsUrl = `ws://${this.config.printerIp}:3030/websocket`;
-    this.adapter.log.info(`Connecting to printer: ${wsUrl}`);
+    const wsUrl = `ws://${this.printer.ip}:${this.config.websocketPort || 3030}/websocket`;
+    this.log.info(`Connecting to printer: ${wsUrl}`);
 
     try {
         this.ws = new WebSocket(wsUrl, {
@@ -68,56 +263,108 @@ connect() {
         this.setupWebSocketEventHandlers();
 
     } catch (error) {
-        this.adapter.log.error(`Failed to create WebSocket connection: ${error.message}`);
+        this.log.error(`Failed to create WebSocket connection: ${error.message}`);
+        this.setLastError(error.message);
         this.scheduleReconnect();
     }
 }
 
+/**
+ * Detach and close the current socket, also while it is still connecting
+ */
+closeSocket() {
+    if (!this.ws) {
+        return;
+    }
+
+    const ws = this.ws;
+    this.ws = null;
+    ws.removeAllListeners();
+    // Aborting a handshake emits an error that must not go unhandled
+    ws.on('error', () => {});
+    if (ws.readyState !== WebSocket.CLOSED) {
+        ws.terminate();
+    }
+}
+
+/**
+ * Drop a connection that stopped responding; the close handler schedules the reconnect
+ */
+dropConnection(reason) {
+    this.log.warn(`Connection lost: ${reason}`);
+    this.setLastError(reason);
+    if (this.ws) {
+        this.ws.terminate();
+    }
+}
+
 /**
  * Setup WebSocket event handlers
  */
 setupWebSocketEventHandlers() {
     this.ws.on('open', () => {
-        this.adapter.log.info('WebSocket connection established');
-        this.isConnected = true;
-        this.adapter.setState('info.connection', true, true);
+        this.log.info('WebSocket connection established');
+        this.captureFrame('event', { connection: 'open' });
+        this.reconnectAttempts = 0;
+        this.lastMessageAt = Date.now();
+        if (this.hasConnected) {
+            this.reconnects++;
+            this.setState('info.reconnects', this.reconnects);
+        }
+        this.hasConnected = true;
+        this.setState('info.lastConnected', new Date().toISOString());
+        this.setConnected(true);
         
         // CRITICAL FIX: Start keep-alive immediately after connection
         this.startKeepAlive();
         
         // CRITICAL FIX: Request initial status using SDCP command 0
-        this.requestStatus();
+        this.requestStatus().catch(error => this.log.debug(error.message));
+        this.requestAttributes();
         
-        // CRITICAL FIX: Start proper polling with SDCP commands
+        // Prefer status pushes, polling only fills in while pushes are missing
+        this.pushPeriod = 0;
+        this.isPollingFallback = false;
+        this.subscribeStatus();
         this.startPolling();
     });
 
     this.ws.on('message', (data) => {
+        this.lastMessageAt = Date.now();
+        const text = data.toString();
+        let message;
         try {
-            const message = JSON.parse(data.toString());
-            this.handleMessage(message);
+            message = JSON.parse(text);
         } catch (error) {
-            this.adapter.log.error(`Failed to parse WebSocket message: ${error.message}`);
-            this.adapter.log.debug(`Raw message: ${data.toString()}`);
+            this.captureFrame('in', text);
+            this.log.error(`Failed to parse WebSocket message: ${error.message}`);
+            this.log.debug(`Raw message: ${text}`);
+            return;
         }
+        this.captureFrame('in', message);
+        this.handleMessage(message);
     });
 
     this.ws.on('error', (error) => {
-        this.adapter.log.error(`WebSocket error: ${error.message}`);
-        this.isConnected = false;
-        this.adapter.setState('info.connection', false, true);
+        this.log.error(`WebSocket error: ${error.message}`);
+        this.setLastError(error.message);
+        this.setConnected(false);
     });
 
     this.ws.on('close', (code, reason) => {
-        this.adapter.log.warn(`WebSocket closed - Code: ${code}, Reason: ${reason || 'Unknown'}`);
-        this.isConnected = false;
-        this.adapter.setState('info.connection', false, true);
+        this.log.warn(`WebSocket closed - Code: ${code}, Reason: ${reason || 'Unknown'}`);
+        this.captureFrame('event', { connection: 'close', code });
+        this.setConnected(false);
         this.clearTimers();
+        this.rejectAllRequests('Connection closed');
         this.scheduleReconnect();
     });
 
     this.ws.on('pong', () => {
-        this.adapter.log.debug('Received pong from printer');
+        this.clearPongTimer();
+        const latency = Date.now() - this.pingSentAt;
+        this.log.debug(`Received pong from printer after ${latency}ms`);
+        this.setState('info.latencyMs', latency);
     });
 }
 
@@ -130,14 +377,22 @@ generateRequestId() {
 }
 
 /**
- * Send SDCP command to printer
+ * Send SDCP command to printer.
+ * Resolves with the response payload once the printer acknowledged the command (Ack 0),
+ * rejects on a negative Ack, a lost connection or when all attempts timed out.
+ * @param {number} cmd - SDCP command number
+ * @param {object} [data] - Command payload
+ * @param {{timeout?: number, retries?: number}} [options] - Timeout in seconds and number of retries
+ * @returns {Promise<object>}
  */
-sendCommand(cmd, data = {}) {
+sendCommand(cmd, data = {}, options = {}) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-        this.adapter.log.warn(`Cannot send command ${cmd}: WebSocket not connected`);
-        return false;
+        return Promise.reject(new Error(`Cannot send command ${cmd}: WebSocket not connected`));
     }
 
+    const timeout = (options.timeout !== undefined ? options.timeout : (this.config.commandTimeout || 5)) * 1000;
+    const retries = options.retries !== undefined ? options.retries : (this.config.commandRetries !== undefined ? this.config.commandRetries : 2);
+
     // CRITICAL FIX: Use correct SDCP message format
     const message = {
         Id: "",
@@ -145,29 +400,151 @@ sendCommand(cmd, data = {}) {
             Cmd: cmd,
             Data: data,
             RequestID: this.generateRequestId(),
-            MainboardID: "",
+            MainboardID: this.mainboardId,
             TimeStamp: Date.now(),
             From: 1
         }
     };
 
+    return new Promise((resolve, reject) => {
+        const request = { cmd, resolve, reject, timer: null, attempt: 0 };
+        this.pendingRequests.set(message.Data.RequestID, request);
+
+        const attempt = () => {
+            request.attempt++;
+            
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+                this.rejectRequest(message.Data.RequestID, new Error(`Cannot send command ${cmd}: WebSocket not connected`));
+                return;
+            }
+
+            try {
+                // Retries reuse the RequestID so a late response to an earlier attempt still counts
+                message.Data.TimeStamp = Date.now();
+                const messageString = JSON.stringify(message);
+                this.ws.send(messageString);
+                this.captureFrame('out', message);
+                this.log.debug(`Sent SDCP command ${cmd} (attempt ${request.attempt}): ${messageString}`);
+            } catch (error) {
+                this.rejectRequest(message.Data.RequestID, new Error(`Failed to send command ${cmd}: ${error.message}`));
+                return;
+            }
+
+            request.timer = setTimeout(() => {
+                if (request.attempt <= retries) {
+                    this.log.debug(`No response to command ${cmd} within ${timeout}ms, retrying`);
+                    attempt();
+                } else {
+                    this.rejectRequest(message.Data.RequestID, new Error(`Command ${cmd} timed out after ${request.attempt} attempt(s)`));
+                }
+            }, timeout);
+        };
+
+        attempt();
+    });
+}
+
+/**
+ * Reject a pending request and forget it
+ */
+rejectRequest(requestId, error) {
+    const request = this.pendingRequests.get(requestId);
+    if (!request) {
+        return;
+    }
+    
+    clearTimeout(request.timer);
+    this.pendingRequests.delete(requestId);
+    request.reject(error);
+}
+
+/**
+ * Reject all pending requests, e.g. when the connection is lost
+ */
+rejectAllRequests(reason) {
+    for (const requestId of [...this.pendingRequests.keys()]) {
+        this.rejectRequest(requestId, new Error(reason));
+    }
+}
+
+/**
+ * Run a user-triggered control command and publish its outcome in controls.lastCommandResult
+ * @param {string} name - Name of the control, e.g. 'pause'
+ * @param {() => Promise<object>} command - Function sending the SDCP command
+ * @returns {Promise<boolean>} true if the printer acknowledged the command
+ */
+async runControl(name, command) {
+    const result = { command: name, success: true, error: null, timestamp: new Date().toISOString() };
+    
     try {
-        const messageString = JSON.stringify(message);
-        this.ws.send(messageString);
-        this.adapter.log.debug(`Sent SDCP command ${cmd}: ${messageString}`);
-        return true;
+        await command();
     } catch (error) {
-        this.adapter.log.error(`Failed to send command ${cmd}: ${error.message}`);
-        return false;
+        this.log.debug(`Control ${name} failed: ${error.message}`);
+        result.success = false;
+        result.error = error.message;
     }
+    
+    await this.setState('controls.lastCommandResult', JSON.stringify(result));
+    return result.success;
 }
 
 /**
  * Request status update from printer (SDCP command 0)
  */
 requestStatus() {
-    this.adapter.log.debug('Requesting printer status');
-    return this.sendCommand(0, {});
+    this.log.debug('Requesting printer status');
+    this.awaitingPolledStatus = true;
+    // The next poll asks again, so don't retry status requests
+    return this.sendCommand(0, {}, { retries: 0 });
+}
+
+/**
+ * Request the printer attributes (SDCP command 1); they arrive as separate Attributes message
+ */
+requestAttributes() {
+    this.log.debug('Requesting printer attributes');
+    this.sendCommand(CMD_REQUEST_ATTRIBUTES, {}).catch(error => this.log.warn(`Failed to request printer attributes: ${error.message}`));
+}
+
+/**
+ * Push period for the current print state: fast while printing, slow when idle
+ */
+getPushPeriod() {
+    const printing = this.printStatus !== undefined && !isPrinterIdle(this.printStatus);
+    return (printing ? this.config.pushIntervalPrinting : this.config.pushIntervalIdle) * 1000;
+}
+
+/**
+ * Ask the printer to push its status periodically (SDCP command 512).
+ * Firmware without push support keeps being polled.
+ */
+async subscribeStatus() {
+    if (!this.config.pushEnabled) {
+        return;
+    }
+
+    const period = this.getPushPeriod();
+    try {
+        await this.sendCommand(CMD_SUBSCRIBE_STATUS, { TimePeriod: period });
+        this.pushPeriod = period;
+        // Give the first push time to arrive, unless polling already covers for missing pushes
+        if (!this.isPollingFallback) {
+            this.lastPushAt = Date.now();
+        }
+        this.log.debug(`Subscribed to status pushes every ${period}ms`);
+    } catch (error) {
+        this.pushPeriod = 0;
+        this.log.info(`Status push not available, polling every ${this.config.pollInterval}s: ${error.message}`);
+    }
+}
+
+/**
+ * Switch the push period when the printer starts or stops printing
+ */
+updateSubscription() {
+    if (this.pushPeriod && this.pushPeriod !== this.getPushPeriod()) {
+        this.subscribeStatus();
+    }
 }
 
 /**
@@ -176,16 +553,33 @@ requestStatus() {
 startKeepAlive() {
     this.clearKeepAlive();
     
-    // CRITICAL FIX: Keep connection alive every 50 seconds (printer closes after 60s)
-    this.keepAliveTimer = setInterval(() => {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            // Send WebSocket ping
-            this.ws.ping();
-            this.adapter.log.debug('Sent keep-alive ping');
-        } else {
-            this.clearKeepAlive();
-        }
-    }, 50000); // 50 seconds
+    // The first ping measures the latency right after connecting
+    this.ping();
+    this.keepAliveTimer = setInterval(() => this.ping(), KEEP_ALIVE_INTERVAL);
+}
+
+/**
+ * Send a WebSocket ping and drop the connection if no pong arrives in time
+ */
+ping() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+        this.clearKeepAlive();
+        return;
+    }
+    if (this.pongTimer) {
+        // Still waiting for the previous pong
+        return;
+    }
+
+    const pongTimeout = (this.config.pongTimeout || 10) * 1000;
+    this.pingSentAt = Date.now();
+    this.ws.ping();
+    this.log.debug('Sent keep-alive ping');
+
+    this.pongTimer = setTimeout(() => {
+        this.pongTimer = null;
+        this.dropConnection(`no pong within ${pongTimeout}ms`);
+    }, pongTimeout);
 }
 
 /**
@@ -199,14 +593,36 @@ startPolling() {
     // CRITICAL FIX: Use setInterval for consistent polling
     this.pollTimer = setInterval(() => {
         if (this.isConnected && this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.requestStatus();
+            // Missing pushes first let polling take over, only then the connection counts as stale
+            const staleAfter = this.pushPeriod * MISSED_PUSHES + pollInterval * STALE_POLLS;
+            const silence = Date.now() - this.lastMessageAt;
+            if (silence > staleAfter) {
+                this.dropConnection(`no message from printer for ${Math.round(silence / 1000)}s`);
+                return;
+            }
+
+            if (this.pushPeriod && Date.now() - this.lastPushAt <= this.pushPeriod * MISSED_PUSHES) {
+                if (this.isPollingFallback) {
+                    this.log.info('Status pushes resumed, polling paused');
+                    this.isPollingFallback = false;
+                }
+                return;
+            }
+
+            if (this.pushPeriod && !this.isPollingFallback) {
+                this.log.info('Status pushes stopped, falling back to polling');
+                this.isPollingFallback = true;
+                // Renew the subscription, the printer may have dropped it
+                this.subscribeStatus();
+            }
+            this.requestStatus().catch(error => this.log.debug(error.message));
         } else {
-            this.adapter.log.warn('Skipping poll - WebSocket not connected');
+            this.log.warn('Skipping poll - WebSocket not connected');
             this.clearPolling();
         }
     }, pollInterval);
     
-    this.adapter.log.info(`Polling started with interval: ${pollInterval}ms`);
+    this.log.info(`Polling started with interval: ${pollInterval}ms`);
 }
 
 /**
@@ -237,35 +653,106 @@ clearKeepAlive() {
         clearInterval(this.keepAliveTimer);
         this.keepAliveTimer = null;
     }
+    this.clearPongTimer();
+}
+
+clearPongTimer() {
+    if (this.pongTimer) {
+        clearTimeout(this.pongTimer);
+        this.pongTimer = null;
+    }
 }
 
 /**
- * Schedule reconnection attempt
+ * Schedule reconnection attempt with exponential backoff and jitter.
+ * The delay doubles with every failed attempt, up to reconnectInterval.
  */
 scheduleReconnect() {
     this.clearReconnect();
+    if (this.isStopped) {
+        return;
+    }
     
-    const reconnectInterval = (this.config.reconnectInterval || 60) * 1000;
+    const maxDelay = (this.config.reconnectInterval || 60) * 1000;
+    const delay = Math.min(maxDelay, RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempts));
+    const reconnectInterval = Math.round(delay * (1 - RECONNECT_JITTER + Math.random() * RECONNECT_JITTER * 2));
+    this.reconnectAttempts++;
     
     this.reconnectTimer = setTimeout(() => {
-        this.adapter.log.info('Attempting to reconnect...');
-        this.connect();
+        this.reconnectTimer = null;
+        this.log.info('Attempting to reconnect...');
+        
+        // The printer may have received a new address via DHCP
+        if (this.printer.autoDiscovery) {
+            this.refreshPrinterIp(() => this.connect());
+        } else {
+            this.connect();
+        }
     }, reconnectInterval);
     
-    this.adapter.log.info(`Reconnection scheduled in ${reconnectInterval}ms`);
+    this.log.info(`Reconnection scheduled in ${reconnectInterval}ms`);
+}
+
+/**
+ * Reconnect soon, starting the backoff over, e.g. after the printer was switched on
+ */
+reconnectNow() {
+    if (this.isConnected || this.isStopped) {
+        return;
+    }
+    this.reconnectAttempts = 0;
+    this.scheduleReconnect();
+}
+
+/**
+ * Look up the current printer IP via UDP discovery before reconnecting
+ */
+refreshPrinterIp(callback) {
+    discoverPrinters((err, printers) => {
+        if (this.isStopped) {
+            return;
+        }
+        
+        if (err) {
+            this.log.warn(`Discovery before reconnect failed: ${err.message}`);
+        } else {
+            const printer = selectPrinter(printers, this.printer.mainboardId);
+            if (printer && printer.ip !== this.printer.ip) {
+                this.log.info(`Printer address changed from ${this.printer.ip} to ${printer.ip}`);
+                this.printer.ip = printer.ip;
+            }
+        }
+        
+        callback();
+    });
 }
 
 /**
  * Handle incoming SDCP messages
  */
 handleMessage(message) {
-    this.adapter.log.debug(`Received message: ${JSON.stringify(message)}`);
+    this.log.debug(`Received message: ${JSON.stringify(message)}`);
     
     try {
-        // CRITICAL FIX: Handle SDCP status updates correctly
+        if (message.MainboardID && !this.mainboardId) {
+            this.setMainboardId(message.MainboardID);
+        }
+
+        if (message.Attributes) {
+            this.updateAttributes(message.Attributes).catch(error => this.log.error(`Failed to update printer attributes: ${error.message}`));
+        }
+
+        // CRITICAL FIX: Handle SDCP status updates correctly.
+        // Covers both status responses and sdcp/status/ topic pushes.
         if (message.Status) {
+            if (this.awaitingPolledStatus) {
+                this.awaitingPolledStatus = false;
+            } else {
+                this.lastPushAt = Date.now();
+            }
             this.updatePrinterStatus(message.Status);
-            this.adapter.setState('info.lastUpdate', new Date().toISOString(), true);
+            this.setState('info.lastUpdate', new Date().toISOString());
+            this.emit('status', message.Status);
         }
         
         // Handle command responses
@@ -273,17 +760,52 @@ handleMessage(message) {
             this.handleCommandResponse(message);
         }
         
-        // Handle other message types
-        if (message.Topic && message.Topic.includes('sdcp/status/')) {
-            // This is a status update message
-            if (message.Status) {
-                this.updatePrinterStatus(message.Status);
-            }
-        }
-        
     } catch (error) {
-        this.adapter.log.error(`Error handling message: ${error.message}`);
-        this.adapter.log.debug(`Problematic message: ${JSON.stringify(message)}`);
+        this.log.error(`Error handling message: ${error.message}`);
+        this.log.debug(`Problematic message: ${JSON.stringify(message)}`);
+    }
+}
+
+/**
+ * Use the MainboardID reported by the printer for commands and re-discovery.
+ * Emits 'mainboardId' if the printer was configured without one, so it can be stored.
+ */
+setMainboardId(mainboardId) {
+    this.log.info(`Printer reported MainboardID ${mainboardId}`);
+    this.mainboardId = mainboardId;
+    if (!this.printer.mainboardId) {
+        this.printer.mainboardId = mainboardId;
+        this.emit('mainboardId', mainboardId);
+    }
+}
+
+/**
+ * Write the printer attributes to info.device and detect firmware updates
+ */
+async updateAttributes(attributes) {
+    if (attributes.MainboardID && attributes.MainboardID !== this.mainboardId) {
+        this.setMainboardId(attributes.MainboardID);
+    }
+
+    // The stored version survives restarts, so updates done while the adapter was stopped are noticed too
+    const stored = await this.adapter.getStateAsync(`${this.prefix}.info.device.firmware`);
+    const previousFirmware = (stored && stored.val) || '';
+    const firmware = attributes.FirmwareVersion || '';
+
+    for (const [attribute, id] of Object.entries(DEVICE_ATTRIBUTES)) {
+        if (attribute in attributes) {
+            await this.setState(`info.device.${id}`, String(attributes[attribute]));
+        }
+    }
+    await this.setState('info.device.capabilities', (attributes.Capabilities || []).join(','));
+    await this.setState('info.device.fileTypes', (attributes.SupportFileType || []).join(','));
+    await this.setState('info.device.attributes', JSON.stringify(attributes));
+
+    if (firmware && previousFirmware && firmware !== previousFirmware) {
+        this.log.info(`Firmware changed from ${previousFirmware} to ${firmware}`);
+        await this.setState('info.device.previousFirmware', previousFirmware);
+        await this.setState('info.device.firmwareChanged', new Date().toISOString());
+        this.emit('firmwareChanged', previousFirmware, firmware);
     }
 }
 
@@ -292,77 +814,86 @@ handleMessage(message) {
  */
 updatePrinterStatus(status) {
     try {
-        this.adapter.log.debug('Updating printer status from SDCP data');
+        this.log.debug('Updating printer status from SDCP data');
         
         // CRITICAL FIX: Handle temperature data correctly
         if (typeof status.TempOfNozzle !== 'undefined') {
-            this.adapter.setState('temperatures.nozzle.actual', 
-                Math.round(status.TempOfNozzle * 100) / 100, true);
+            this.setState('temperatures.nozzle.actual', 
+                Math.round(status.TempOfNozzle * 100) / 100);
         }
         
         if (typeof status.TempOfHotbed !== 'undefined') {
-            this.adapter.setState('temperatures.bed.actual', 
-                Math.round(status.TempOfHotbed * 100) / 100, true);
+            this.setState('temperatures.bed.actual', 
+                Math.round(status.TempOfHotbed * 100) / 100);
         }
         
         if (typeof status.TempOfBox !== 'undefined') {
-            this.adapter.setState('temperatures.chamber.actual', 
-                Math.round(status.TempOfBox * 100) / 100, true);
+            this.setState('temperatures.chamber.actual', 
+                Math.round(status.TempOfBox * 100) / 100);
         }
 
         // Target temperatures
         if (typeof status.TempTargetNozzle !== 'undefined') {
-            this.adapter.setState('temperatures.nozzle.target', 
-                Math.round(status.TempTargetNozzle * 100) / 100, true);
+            this.setState('temperatures.nozzle.target', 
+                Math.round(status.TempTargetNozzle * 100) / 100);
         }
         
         if (typeof status.TempTargetHotbed !== 'undefined') {
-            this.adapter.setState('temperatures.bed.target', 
-                Math.round(status.TempTargetHotbed * 100) / 100, true);
+            this.setState('temperatures.bed.target', 
+                Math.round(status.TempTargetHotbed * 100) / 100);
         }
         
         if (typeof status.TempTargetBox !== 'undefined') {
-            this.adapter.setState('temperatures.chamber.target', 
-                Math.round(status.TempTargetBox * 100) / 100, true);
+            this.setState('temperatures.chamber.target', 
+                Math.round(status.TempTargetBox * 100) / 100);
         }
 
         // CRITICAL FIX: Handle fan speeds correctly
         if (status.CurrentFanSpeed) {
-            this.adapter.setState('fans.model', status.CurrentFanSpeed.ModelFan || 0, true);
-            this.adapter.setState('fans.auxiliary', status.CurrentFanSpeed.AuxiliaryFan || 0, true);
-            this.adapter.setState('fans.chamber', status.CurrentFanSpeed.BoxFan || 0, true);
+            this.setState('fans.model', status.CurrentFanSpeed.ModelFan || 0);
+            this.setState('fans.auxiliary', status.CurrentFanSpeed.AuxiliaryFan || 0);
+            this.setState('fans.chamber', status.CurrentFanSpeed.BoxFan || 0);
+        }
+
+        if (Array.isArray(status.CurrentStatus)) {
+            this.setState('info.machineState', getMachineStatusKey(status.CurrentStatus));
+            this.setState('info.machineStatusCodes', status.CurrentStatus.join(','));
         }
 
         // CRITICAL FIX: Handle print information correctly
         if (status.PrintInfo) {
             const printInfo = status.PrintInfo;
             
-            // Status mapping from SDCP documentation
-            const statusText = this.mapPrintStatus(printInfo.Status);
-            this.adapter.setState('print.status', statusText, true);
-            this.adapter.setState('print.statusCode', printInfo.Status || 0, true);
+            // Stable key for scripts, translated text for display
+            const statusKey = getStatusKey(printInfo.Status);
+            this.setState('print.state', statusKey);
+            this.setState('print.status', translate(statusKey, this.adapter.language));
+            this.setState('print.statusCode', printInfo.Status || 0);
+
+            const errorCode = printInfo.ErrorNumber || 0;
+            this.setState('info.errorCode', errorCode);
+            this.setState('info.errorText', getErrorText(errorCode, this.adapter.language));
+            
+            if (typeof printInfo.Status !== 'undefined' && printInfo.Status !== this.printStatus) {
+                const previousStatus = this.printStatus;
+                this.printStatus = printInfo.Status;
+                this.emit('printStatus', printInfo.Status, previousStatus, printInfo);
+                this.updateSubscription();
+            }
             
             // Progress and layer information
-            this.adapter.setState('print.progress', printInfo.Progress || 0, true);
-            this.adapter.setState('print.currentLayer', printInfo.CurrentLayer || 0, true);
-            this.adapter.setState('print.totalLayers', printInfo.TotalLayer || 0, true);
-            this.adapter.setState('print.speedPercentage', printInfo.PrintSpeedPct || 100, true);
+            this.setState('print.progress', printInfo.Progress || 0);
+            this.setState('print.currentLayer', printInfo.CurrentLayer || 0);
+            this.setState('print.totalLayers', printInfo.TotalLayer || 0);
+            this.setState('print.speedPercentage', printInfo.PrintSpeedPct || 100);
+            this.setState('print.speedMode', getSpeedMode(printInfo.PrintSpeedPct || 100));
             
             // Filename
             if (printInfo.Filename) {
-                this.adapter.setState('print.filename', printInfo.Filename, true);
-            }
-            
-            // CRITICAL FIX: Handle time calculation correctly
-            if (printInfo.CurrentTicks && printInfo.TotalTicks) {
-                const totalTimeSeconds = printInfo.TotalTicks;
-                const elapsedTimeSeconds = printInfo.CurrentTicks;
-                const remainingTimeSeconds = Math.max(0, totalTimeSeconds - elapsedTimeSeconds);
-                
-                this.adapter.setState('print.totalTime', this.formatTime(totalTimeSeconds), true);
-                this.adapter.setState('print.elapsedTime', this.formatTime(elapsedTimeSeconds), true);
-                this.adapter.setState('print.remainingTime', this.formatTime(remainingTimeSeconds), true);
+                this.setState('print.filename', printInfo.Filename);
             }
+
+            // Times and the finish estimate are published by the ETA estimator
         }
 
         // CRITICAL FIX: Handle position data correctly
@@ -370,54 +901,42 @@ updatePrinterStatus(status) {
             try {
                 const coords = status.CurrenCoord.split(',');
                 if (coords.length === 3) {
-                    this.adapter.setState('position.x', parseFloat(coords[0]) || 0, true);
-                    this.adapter.setState('position.y', parseFloat(coords[1]) || 0, true);
-                    this.adapter.setState('position.z', parseFloat(coords[2]) || 0, true);
+                    this.setState('position.x', parseFloat(coords[0]) || 0);
+                    this.setState('position.y', parseFloat(coords[1]) || 0);
+                    this.setState('position.z', parseFloat(coords[2]) || 0);
                 }
             } catch (error) {
-                this.adapter.log.warn(`Failed to parse coordinates: ${status.CurrenCoord}`);
+                this.log.warn(`Failed to parse coordinates: ${status.CurrenCoord}`);
             }
         }
 
         // Z-offset
         if (typeof status.ZOffset !== 'undefined') {
-            this.adapter.setState('position.zOffset', 
-                Math.round(status.ZOffset * 10000) / 10000, true);
+            this.setState('position.zOffset', 
+                Math.round(status.ZOffset * 10000) / 10000);
         }
 
         // CRITICAL FIX: Handle lighting correctly
         if (status.LightStatus) {
-            this.adapter.setState('lights.chamber', !!status.LightStatus.SecondLight, true);
+            this.lightStatus.SecondLight = !!status.LightStatus.SecondLight;
+            this.setState('lights.chamber', this.lightStatus.SecondLight);
             
             if (status.LightStatus.RgbLight && Array.isArray(status.LightStatus.RgbLight)) {
                 if (status.LightStatus.RgbLight.length >= 3) {
-                    this.adapter.setState('lights.rgb.r', status.LightStatus.RgbLight[0] || 0, true);
-                    this.adapter.setState('lights.rgb.g', status.LightStatus.RgbLight[1] || 0, true);
-                    this.adapter.setState('lights.rgb.b', status.LightStatus.RgbLight[2] || 0, true);
+                    this.lightStatus.RgbLight = status.LightStatus.RgbLight.slice(0, 3).map(level => level || 0);
+                    this.setState('lights.rgb.r', this.lightStatus.RgbLight[0]);
+                    this.setState('lights.rgb.g', this.lightStatus.RgbLight[1]);
+                    this.setState('lights.rgb.b', this.lightStatus.RgbLight[2]);
+                    this.setState('lights.rgb.hex', rgbToHex(this.lightStatus.RgbLight));
                 }
             }
         }
 
     } catch (error) {
-        this.adapter.log.error(`Failed to update printer status: ${error.message}`);
+        this.log.error(`Failed to update printer status: ${error.message}`);
     }
 }
 
-/**
- * Map SDCP print status codes to readable text
- */
-mapPrintStatus(statusCode) {
-    const statusMap = {
-        0: 'Idle',
-        8: 'Preparing',
-        9: 'Starting', 
-        10: 'Paused',
-        13: 'Printing'
-    };
-    
-    return statusMap[statusCode] || `Unknown (${statusCode})`;
-}
-
 /**
  * Format time from seconds to HH:MM:SS
  */
@@ -432,25 +951,34 @@ formatTime(seconds) {
 }
 
 /**
- * Handle command responses
+ * Handle command responses and settle the matching pending request
  */
 handleCommandResponse(message) {
     const cmd = message.Data.Cmd;
-    const ack = message.Data.Data && message.Data.Data.Ack;
+    const requestId = message.Data.RequestID;
+    const payload = message.Data.Data || {};
+    const ack = payload.Ack;
+    const ackText = ACK_MESSAGES[ack] || `Unknown (${ack})`;
     
     if (typeof ack !== 'undefined') {
-        const ackMessages = {
-            0: 'Success',
-            1: 'Failed/Error',
-            2: 'File Not Found'
-        };
-        
-        const ackText = ackMessages[ack] || `Unknown (${ack})`;
-        this.adapter.log.debug(`Command ${cmd} response: ${ackText}`);
-        
-        if (ack !== 0) {
-            this.adapter.log.warn(`Command ${cmd} failed with code ${ack}: ${ackText}`);
-        }
+        this.log.debug(`Command ${cmd} response: ${ackText}`);
+    }
+    
+    const request = this.pendingRequests.get(requestId);
+    if (!request) {
+        this.log.debug(`Ignoring response to unknown request ${requestId}`);
+        return;
+    }
+    
+    clearTimeout(request.timer);
+    this.pendingRequests.delete(requestId);
+    
+    if (typeof ack !== 'undefined' && ack !== 0) {
+        const error = new Error(`Command ${cmd} failed with code ${ack}: ${ackText}`);
+        error.ack = ack;
+        request.reject(error);
+    } else {
+        request.resolve(payload);
     }
 }
 
@@ -469,15 +997,74 @@ cancelPrint() {
     return this.sendCommand(130, {});
 }
 
-toggleLight(lightOn = true, rgbColors = [0, 0, 0]) {
-    return this.sendCommand(403, {
-        LightStatus: {
-            SecondLight: lightOn,
-            RgbLight: rgbColors
-        }
-    });
+toggleLight(lightOn = true) {
+    return this.setLight({ SecondLight: lightOn });
+}
+
+/**
+ * Change parts of LightStatus while keeping the rest as last reported by the printer
+ */
+async setLight(changes) {
+    const lightStatus = { ...this.lightStatus, ...changes };
+    const response = await this.sendCommand(403, { LightStatus: lightStatus });
+    this.lightStatus = lightStatus;
+    return response;
+}
+
 }
 
+/**
+ * Open a short SDCP session to a printer and request its attributes, e.g. to test the settings.
+ * @param {string} ip - Printer IP or host name
+ * @param {number} port - WebSocket port
+ * @param {number} [timeout] - Time for connecting and answering in milliseconds
+ * @returns {Promise<{attributes: object, latency: number}>} Attributes and connect time in milliseconds
+ */
+function probePrinter(ip, port, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const ws = new WebSocket(`ws://${ip}:${port}/websocket`, { handshakeTimeout: timeout });
+        let latency = 0;
+
+        const finish = (error, result) => {
+            clearTimeout(timer);
+            ws.removeAllListeners();
+            ws.on('error', () => {});
+            ws.terminate();
+            error ? reject(error) : resolve(result);
+        };
+        const timer = setTimeout(() => finish(new Error(`No answer from ${ip}:${port} within ${timeout / 1000}s`)), timeout);
+
+        ws.on('open', () => {
+            latency = Date.now() - started;
+            ws.send(JSON.stringify({
+                Id: '',
+                Data: {
+                    Cmd: CMD_REQUEST_ATTRIBUTES,
+                    Data: {},
+                    RequestID: `iobroker_probe_${started}`,
+                    MainboardID: '',
+                    TimeStamp: started,
+                    From: 1
+                }
+            }));
+        });
+        ws.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                return;
+            }
+            if (message && message.Attributes) {
+                finish(null, { attributes: message.Attributes, latency });
+            }
+        });
+        ws.on('error', error => finish(new Error(`Cannot connect to ${ip}:${port}: ${error.message}`)));
+        ws.on('close', () => finish(new Error(`Connection to ${ip}:${port} closed without an answer`)));
+    });
 }
 
+MonitoringService.probePrinter = probePrinter;
+
 module.exports = MonitoringService;
@@ -0,0 +1,161 @@
+'use strict';
+
+const { STATUS_CODES, getErrorText, translate } = require('./messages');
+
+// Event types with their config switch and notification manager category
+const EVENTS = {
+    started: { option: 'notifyStarted', category: 'printEvents' },
+    complete: { option: 'notifyComplete', category: 'printEvents' },
+    cancelled: { option: 'notifyCancelled', category: 'printEvents' },
+    paused: { option: 'notifyPaused', category: 'printEvents' },
+    filamentRunout: { option: 'notifyFilamentRunout', category: 'printErrors' },
+    error: { option: 'notifyError', category: 'printErrors' },
+    watchdog: { option: 'notifyError', category: 'printErrors' },
+    firmwareChanged: { option: 'notifyFirmwareChanged', category: 'printEvents' }
+};
+
+/**
+ * Turns job and status changes of one printer into events. Every event is written to events.last;
+ * enabled events are also sent to the notification manager and the configured messenger instances.
+ */
+class Notifications {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     * @param {import('./camera')} camera - Camera used for snapshots
+     */
+    constructor(adapter, service, camera) {
+        this.adapter = adapter;
+        this.service = service;
+        this.camera = camera;
+        this.errorCode = 0;
+        this.filename = '';
+
+        this.service.on('jobStarted', job => this.emitEvent('started', { filename: job.filename }));
+        this.service.on('jobFinished', job => {
+            // Failed jobs were already reported when the error code appeared, missed ends have no event
+            if (job.result !== 'error' && EVENTS[job.result]) {
+                this.emitEvent(job.result, { filename: job.filename, duration: job.duration });
+            }
+        });
+        this.service.on('printStatus', (status, previousStatus, printInfo) => {
+            if (STATUS_CODES[status] === 'PAUSED' && previousStatus !== undefined && !printInfo.ErrorNumber) {
+                this.emitEvent('paused', { filename: printInfo.Filename || this.filename });
+            }
+        });
+        this.service.on('status', status => this.onStatus(status));
+        this.service.on('watchdogAlarm', (reason, text) => this.emitEvent('watchdog', { filename: this.filename, text }));
+        this.service.on('firmwareChanged', (previousVersion, version) => this.emitEvent('firmwareChanged', { text: `${previousVersion} → ${version}` }));
+    }
+
+    /**
+     * Raise an error event once per new error code, a filament runout for the configured runout codes
+     */
+    onStatus(status) {
+        if (!status.PrintInfo) {
+            return;
+        }
+        if (status.PrintInfo.Filename) {
+            this.filename = status.PrintInfo.Filename;
+        }
+
+        const errorCode = status.PrintInfo.ErrorNumber || 0;
+        if (errorCode === this.errorCode) {
+            return;
+        }
+        this.errorCode = errorCode;
+
+        if (errorCode) {
+            const type = this.adapter.config.filamentRunoutCodes.includes(errorCode) ? 'filamentRunout' : 'error';
+            this.emitEvent(type, { filename: this.filename, errorCode });
+        }
+    }
+
+    /**
+     * Publish an event and send it to the enabled notification channels
+     * @param {string} type - One of Notifications.EVENTS
+     * @param {{filename?: string, duration?: number, errorCode?: number, text?: string}} details
+     */
+    emitEvent(type, details) {
+        this.send(type, details).catch(error => this.service.log.warn(`Failed to send ${type} notification: ${error.message}`));
+    }
+
+    async send(type, details) {
+        const config = this.adapter.config;
+        const language = this.adapter.language;
+        const event = {
+            type,
+            printer: this.service.printer.id,
+            printerName: this.service.printer.name || this.service.printer.id,
+            filename: details.filename || '',
+            duration: details.duration || 0,
+            errorCode: details.errorCode || 0,
+            errorText: details.text || getErrorText(details.errorCode, language),
+            message: '',
+            snapshot: '',
+            timestamp: new Date().toISOString()
+        };
+        event.message = formatMessage(event, language, value => this.service.formatTime(value));
+
+        const enabled = EVENTS[type] && config[EVENTS[type].option] !== false;
+        if (enabled && config.notifySnapshot && this.camera) {
+            try {
+                event.snapshot = (await this.camera.takeSnapshot()).path;
+            } catch (error) {
+                this.service.log.debug(`No snapshot for notification: ${error.message}`);
+            }
+        }
+
+        this.service.log.info(`Event ${type}: ${event.message}`);
+        await this.service.setState('events.last', JSON.stringify(event));
+        this.service.emit('event', event);
+
+        if (!enabled) {
+            return;
+        }
+
+        if (config.notifyNotificationManager !== false && typeof this.adapter.registerNotification === 'function') {
+            await this.adapter.registerNotification('elegoo-centauri', EVENTS[type].category, event.message);
+        }
+        if (config.notifyTelegram) {
+            this.adapter.sendTo(config.notifyTelegram, 'send', event.snapshot
+                ? { text: event.snapshot, caption: event.message }
+                : { text: event.message });
+        }
+        if (config.notifyPushover) {
+            this.adapter.sendTo(config.notifyPushover, 'send', {
+                message: event.message,
+                title: event.printerName,
+                file: event.snapshot || undefined
+            });
+        }
+        if (config.notifyEmail) {
+            this.adapter.sendTo(config.notifyEmail, 'send', {
+                subject: `${event.printerName}: ${translate(`EVENT_${type}`, language)}`,
+                text: event.message,
+                attachments: event.snapshot ? [{ path: event.snapshot }] : undefined
+            });
+        }
+    }
+}
+
+/**
+ * Human readable event text in the system language
+ */
+function formatMessage(event, language, formatTime) {
+    let message = `${event.printerName}: ${translate(`EVENT_${event.type}`, language)}`;
+    if (event.filename) {
+        message += ` - ${event.filename}`;
+    }
+    if (event.duration) {
+        message += ` (${formatTime(event.duration)})`;
+    }
+    if (event.errorText) {
+        message += ` - ${event.errorText}`;
+    }
+    return message;
+}
+
+Notifications.EVENTS = EVENTS;
+
+module.exports = Notifications;
@@ -0,0 +1,205 @@
+'use strict';
+
+const { isPrinterIdle } = require('./messages');
+
+// How often the power-off conditions are checked in milliseconds
+const CHECK_INTERVAL = 15000;
+// How often a reconnect is triggered while waiting for the printer to boot
+const RECONNECT_INTERVAL = 15000;
+
+const POWER_STATUS = {
+    idle: 'idle',
+    coolingDown: 'coolingDown',
+    switchedOff: 'switchedOff',
+    poweringOn: 'poweringOn'
+};
+
+/**
+ * Switches the smart plug of a printer. After a completed print the plug is switched off
+ * once the nozzle cooled down below a threshold, no new job started within a grace period
+ * and the chamber fan ran for the configured time. Before the adapter starts a print on a
+ * printer that is not connected, the plug is switched on and the connection awaited.
+ * The current phase is published in power.status.
+ */
+class PowerControl {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     * @param {import('./control')} control - Control handler used to run the chamber fan
+     */
+    constructor(adapter, service, control) {
+        this.adapter = adapter;
+        this.service = service;
+        this.control = control;
+        this.stateId = service.printer.powerStateId || '';
+        this.cooldown = null;
+        this.checkTimer = null;
+        this.nozzle = null;
+        this.fanSpeed = 0;
+
+        this.service.on('status', status => this.onStatus(status));
+        this.service.on('connection', connected => {
+            // Switched on again after an automatic power-off
+            if (connected && !this.cooldown) {
+                this.service.setState('power.status', POWER_STATUS.idle);
+            }
+        });
+        this.service.on('jobStarted', () => this.cancelPowerOff('a new job started'));
+        this.service.on('jobFinished', job => {
+            if (job.result === 'complete') {
+                this.schedulePowerOff().catch(error => this.service.log.warn(`Failed to schedule power-off: ${error.message}`));
+            }
+        });
+    }
+
+    get autoOffEnabled() {
+        return !!this.stateId && !!this.adapter.config.powerOffEnabled;
+    }
+
+    /**
+     * Remember nozzle temperature and chamber fan runtime during the cooldown
+     */
+    onStatus(status) {
+        if (typeof status.TempOfNozzle === 'number') {
+            this.nozzle = status.TempOfNozzle;
+        }
+
+        const now = Date.now();
+        if (this.cooldown && this.fanSpeed > 0) {
+            this.cooldown.fanSeconds += (now - this.cooldown.lastStatus) / 1000;
+        }
+        if (this.cooldown) {
+            this.cooldown.lastStatus = now;
+        }
+        if (status.CurrentFanSpeed) {
+            this.fanSpeed = status.CurrentFanSpeed.BoxFan || 0;
+        }
+
+        // A print started on the printer itself
+        const printInfo = status.PrintInfo;
+        if (this.cooldown && printInfo && printInfo.Status !== undefined && !isPrinterIdle(printInfo.Status)) {
+            this.cancelPowerOff('the printer is busy again');
+        }
+    }
+
+    /**
+     * Start waiting for the cooldown after a completed print
+     */
+    async schedulePowerOff() {
+        if (!this.autoOffEnabled) {
+            return;
+        }
+
+        const config = this.adapter.config;
+        this.cancelPowerOff();
+        this.cooldown = { finished: Date.now(), lastStatus: Date.now(), fanSeconds: 0 };
+        this.service.log.info(`Switching off ${this.stateId} once the nozzle is below ${config.powerOffNozzleTemp}°C, `
+            + `no job started for ${config.powerOffGraceTime} min and the chamber fan ran for ${config.powerOffFanTime} min`);
+        this.checkTimer = setInterval(() => {
+            this.checkPowerOff().catch(error => this.service.log.warn(`Failed to switch off the printer: ${error.message}`));
+        }, CHECK_INTERVAL);
+        await this.service.setState('power.status', POWER_STATUS.coolingDown);
+
+        // Vent the chamber if the printer stopped the fan
+        if (config.powerOffFanTime > 0 && !this.fanSpeed) {
+            try {
+                await this.control.setFanSpeed('chamber', 100);
+            } catch (error) {
+                // Without the fan the ventilation time would never be reached
+                this.service.log.warn(`Failed to switch on the chamber fan, switching off without venting: ${error.message}`);
+                if (this.cooldown) {
+                    this.cooldown.fanSeconds = config.powerOffFanTime * 60;
+                }
+            }
+        }
+    }
+
+    cancelPowerOff(reason) {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+        if (this.cooldown) {
+            this.cooldown = null;
+            if (reason) {
+                this.service.log.info(`Automatic power-off cancelled, ${reason}`);
+            }
+            this.service.setState('power.status', POWER_STATUS.idle);
+        }
+    }
+
+    /**
+     * Switch the plug off when all conditions are met
+     */
+    async checkPowerOff() {
+        const cooldown = this.cooldown;
+        if (!cooldown) {
+            return;
+        }
+
+        const config = this.adapter.config;
+        const cool = this.nozzle !== null && this.nozzle < config.powerOffNozzleTemp;
+        const graceOver = Date.now() - cooldown.finished >= config.powerOffGraceTime * 60000;
+        const ventilated = cooldown.fanSeconds >= config.powerOffFanTime * 60;
+        if (!cool || !graceOver || !ventilated) {
+            return;
+        }
+
+        this.cancelPowerOff();
+        this.service.log.info(`Nozzle at ${this.nozzle}°C, switching off ${this.stateId}`);
+        await this.adapter.setForeignStateAsync(this.stateId, false);
+        await this.service.setState('power.status', POWER_STATUS.switchedOff);
+    }
+
+    /**
+     * Switch the plug on if the printer is not connected and wait until it is
+     * @returns {Promise<void>} Resolves once connected, rejects after powerOnTimeout seconds
+     */
+    async powerOn() {
+        this.cancelPowerOff('the printer is needed');
+        if (this.service.isConnected || !this.stateId) {
+            return;
+        }
+
+        const timeout = this.adapter.config.powerOnTimeout;
+        this.service.log.info(`Switching on ${this.stateId} and waiting up to ${timeout}s for the printer`);
+        await this.service.setState('power.status', POWER_STATUS.poweringOn);
+        await this.adapter.setForeignStateAsync(this.stateId, true);
+
+        try {
+            await new Promise((resolve, reject) => {
+                const onConnection = connected => {
+                    if (connected) {
+                        finish(null);
+                    }
+                };
+                const finish = error => {
+                    clearTimeout(timer);
+                    clearInterval(retry);
+                    this.service.removeListener('connection', onConnection);
+                    error ? reject(error) : resolve();
+                };
+                const timer = setTimeout(() => finish(new Error(`Printer not connected ${timeout}s after switching it on`)), timeout * 1000);
+                // The reconnect backoff may have grown while the printer was off
+                const retry = setInterval(() => this.service.reconnectNow(), RECONNECT_INTERVAL);
+
+                this.service.on('connection', onConnection);
+                this.service.reconnectNow();
+            });
+        } finally {
+            await this.service.setState('power.status', POWER_STATUS.idle);
+        }
+    }
+
+    stop() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+        this.cooldown = null;
+    }
+}
+
+PowerControl.POWER_STATUS = POWER_STATUS;
+
+module.exports = PowerControl;
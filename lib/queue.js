@@ -0,0 +1,325 @@
+'use strict';
+
+const { isPrinterIdle } = require('./messages');
+
+/**
+ * Adapter-managed print job queue of one printer.
+ * The next job is started when the queue is enabled, the printer is idle and
+ * the bed was confirmed to be clear via queue.bedCleared. Jobs are persisted in queue.jobs.
+ */
+class PrintQueue {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     * @param {import('./files')} files - File manager used to start jobs
+     */
+    constructor(adapter, service, files) {
+        this.adapter = adapter;
+        this.service = service;
+        this.files = files;
+        this.jobs = [];
+        this.enabled = false;
+        this.bedCleared = false;
+        this.isStarting = false;
+        this.jobCounter = 0;
+
+        this.service.on('printStatus', (status, previousStatus) => {
+            this.onPrintStatus(status, previousStatus).catch(error => this.service.log.error(`Failed to update print queue: ${error.message}`));
+        });
+        this.service.on('connection', () => {
+            this.check().catch(error => this.service.log.error(`Failed to check print queue: ${error.message}`));
+        });
+    }
+
+    /**
+     * Restore jobs and switches from the states of the last run
+     */
+    async init() {
+        const jobs = await this.adapter.getStateAsync(`${this.service.prefix}.queue.jobs`);
+        const enabled = await this.adapter.getStateAsync(`${this.service.prefix}.queue.enabled`);
+        const bedCleared = await this.adapter.getStateAsync(`${this.service.prefix}.queue.bedCleared`);
+
+        try {
+            this.jobs = jobs && jobs.val ? this.toJobs(JSON.parse(jobs.val)) : [];
+        } catch (error) {
+            this.service.log.warn(`Ignoring invalid stored queue: ${error.message}`);
+            this.jobs = [];
+        }
+        this.enabled = !!(enabled && enabled.val);
+        this.bedCleared = !!(bedCleared && bedCleared.val);
+
+        if (this.jobs.length) {
+            this.service.log.info(`Restored print queue with ${this.jobs.length} job(s)`);
+        }
+        await this.save();
+    }
+
+    /**
+     * Handle writes to queue.* states. The queue acknowledges the states itself.
+     * @param {string} stateId - State ID relative to the printer device
+     * @param {any} value - The written value
+     */
+    async handleStateChange(stateId, value) {
+        const id = `${this.service.prefix}.${stateId}`;
+
+        switch (stateId) {
+            case 'queue.add':
+                if (value) {
+                    await this.add({ filename: value });
+                }
+                await this.adapter.setState(id, '', true);
+                break;
+
+            case 'queue.remove':
+                if (value) {
+                    await this.remove(value);
+                }
+                await this.adapter.setState(id, '', true);
+                break;
+
+            case 'queue.clear':
+                if (value) {
+                    await this.clear();
+                }
+                await this.adapter.setState(id, false, true);
+                break;
+
+            case 'queue.jobs':
+                try {
+                    await this.setJobs(JSON.parse(value));
+                } catch (error) {
+                    this.service.log.warn(`Invalid queue written to queue.jobs: ${error.message}`);
+                    await this.save();
+                }
+                break;
+
+            case 'queue.enabled':
+                this.enabled = !!value;
+                await this.adapter.setState(id, this.enabled, true);
+                await this.check();
+                break;
+
+            case 'queue.bedCleared':
+                this.bedCleared = !!value;
+                await this.adapter.setState(id, this.bedCleared, true);
+                await this.check();
+                break;
+
+            default:
+                await this.adapter.setState(id, value, true);
+                break;
+        }
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {{filename: string, startLayer?: number, autoLeveling?: boolean}} job
+     * @param {number} [position] - Index to insert the job at, appended if omitted
+     * @returns {Promise<object>} The queued job
+     */
+    async add(job, position) {
+        if (!job || !job.filename) {
+            throw new Error('No file name given');
+        }
+
+        const entry = this.createJob(job);
+        if (typeof position === 'number' && position >= 0 && position < this.jobs.length) {
+            this.jobs.splice(position, 0, entry);
+        } else {
+            this.jobs.push(entry);
+        }
+
+        this.service.log.info(`Queued ${entry.filename} at position ${this.jobs.indexOf(entry) + 1}`);
+        await this.save();
+        await this.check();
+        return entry;
+    }
+
+    /**
+     * Remove a job by its ID, or the first job with the given file name
+     */
+    async remove(idOrFilename) {
+        const index = this.findJob(idOrFilename);
+        if (index === -1) {
+            throw new Error(`Job ${idOrFilename} not found in queue`);
+        }
+
+        const [job] = this.jobs.splice(index, 1);
+        this.service.log.info(`Removed ${job.filename} from queue`);
+        await this.save();
+        return job;
+    }
+
+    /**
+     * Move a job to a new position (0 = next)
+     */
+    async move(idOrFilename, position) {
+        const index = this.findJob(idOrFilename);
+        if (index === -1) {
+            throw new Error(`Job ${idOrFilename} not found in queue`);
+        }
+
+        const target = Math.max(0, Math.min(this.jobs.length - 1, parseInt(position) || 0));
+        const [job] = this.jobs.splice(index, 1);
+        this.jobs.splice(target, 0, job);
+        await this.save();
+        return this.jobs;
+    }
+
+    /**
+     * Remove all jobs
+     */
+    async clear() {
+        this.jobs = [];
+        this.service.log.info('Print queue cleared');
+        await this.save();
+    }
+
+    /**
+     * Replace the whole queue, e.g. after reordering in a dashboard
+     */
+    async setJobs(jobs) {
+        this.jobs = this.toJobs(jobs);
+        await this.save();
+        await this.check();
+    }
+
+    /**
+     * The printer can take the next job: connected and idle, or switched off by its smart plug,
+     * which startPrint switches on again. A printer lost during a print is not taken as off.
+     */
+    get printerReady() {
+        if (this.service.isConnected) {
+            return isPrinterIdle(this.service.printStatus);
+        }
+        return !!this.service.printer.powerStateId
+            && (this.service.printStatus === undefined || isPrinterIdle(this.service.printStatus));
+    }
+
+    /**
+     * Start the next job if everything is ready for it
+     */
+    async check() {
+        await this.updateStatus();
+
+        if (this.isStarting || !this.enabled || !this.jobs.length || !this.bedCleared) {
+            return;
+        }
+        if (!this.printerReady) {
+            return;
+        }
+
+        const job = this.jobs[0];
+        this.isStarting = true;
+        await this.updateStatus();
+
+        try {
+            const started = await this.service.runControl('queueStart', () => this.files.startPrint(job.filename, job));
+            if (started) {
+                this.service.log.info(`Started queued job ${job.filename}`);
+                this.jobs = this.jobs.filter(j => j.id !== job.id);
+                await this.setBedCleared(false);
+                await this.service.setState('queue.lastStarted', JSON.stringify({ ...job, started: new Date().toISOString() }));
+                await this.save();
+            } else {
+                this.service.log.warn(`Failed to start queued job ${job.filename}, it stays in the queue`);
+            }
+        } finally {
+            this.isStarting = false;
+            await this.updateStatus();
+        }
+    }
+
+    /**
+     * A started print occupies the bed until it is confirmed to be clear again
+     */
+    async onPrintStatus(status, previousStatus) {
+        if (!isPrinterIdle(status) && (previousStatus === undefined || isPrinterIdle(previousStatus))) {
+            await this.setBedCleared(false);
+        }
+        await this.check();
+    }
+
+    async setBedCleared(cleared) {
+        this.bedCleared = cleared;
+        await this.service.setState('queue.bedCleared', cleared);
+    }
+
+    /**
+     * Persist the jobs and publish the derived states
+     */
+    async save() {
+        await this.service.setState('queue.jobs', JSON.stringify(this.jobs));
+        await this.service.setState('queue.length', this.jobs.length);
+        await this.service.setState('queue.next', this.jobs.length ? this.jobs[0].filename : '');
+        await this.updateStatus();
+    }
+
+    /**
+     * Publish what the queue is waiting for
+     */
+    async updateStatus() {
+        let status;
+        if (!this.enabled) {
+            status = 'disabled';
+        } else if (this.isStarting) {
+            status = 'starting';
+        } else if (!this.jobs.length) {
+            status = 'empty';
+        } else if (!this.printerReady) {
+            status = 'waitingForPrinter';
+        } else if (!this.bedCleared) {
+            status = 'waitingForBedClear';
+        } else {
+            status = 'ready';
+        }
+        await this.service.setState('queue.status', status);
+    }
+
+    findJob(idOrFilename) {
+        const index = this.jobs.findIndex(job => job.id === idOrFilename);
+        return index !== -1 ? index : this.jobs.findIndex(job => job.filename === idOrFilename);
+    }
+
+    /**
+     * Validate a job list and give jobs without an ID a new one
+     */
+    toJobs(jobs) {
+        return normalizeJobs(jobs).map(job => job.id ? job : this.createJob(job));
+    }
+
+    createJob(job) {
+        this.jobCounter++;
+        return {
+            id: `${Date.now().toString(36)}${this.jobCounter}`,
+            filename: String(job.filename),
+            startLayer: parseInt(job.startLayer) || 0,
+            autoLeveling: !!job.autoLeveling,
+            added: job.added || new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Keep only valid job entries of a (user supplied) job list
+ */
+function normalizeJobs(jobs) {
+    if (!Array.isArray(jobs)) {
+        throw new Error('Queue must be a JSON array');
+    }
+
+    return jobs
+        .map(job => typeof job === 'string' ? { filename: job } : job)
+        .filter(job => job && job.filename)
+        .map(job => ({
+            id: job.id ? String(job.id) : '',
+            filename: String(job.filename),
+            startLayer: parseInt(job.startLayer) || 0,
+            autoLeveling: !!job.autoLeveling,
+            added: job.added || new Date().toISOString()
+        }));
+}
+
+PrintQueue.STATUSES = ['disabled', 'starting', 'empty', 'waitingForPrinter', 'waitingForBedClear', 'ready'];
+
+module.exports = PrintQueue;
@@ -0,0 +1,272 @@
+'use strict';
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const dgram = require('dgram');
+const WebSocket = require('ws');
+
+const DISCOVERY_PORT = 3000;
+const DISCOVERY_MESSAGE = 'M99999';
+
+// SDCP commands answered with more than an acknowledgement
+const CMD_STATUS = 0;
+const CMD_ATTRIBUTES = 1;
+
+// Used when the capture contains no attributes or status
+const DEFAULT_ATTRIBUTES = {
+    Name: 'Simulator',
+    MachineName: 'Centauri Carbon',
+    BrandName: 'ELEGOO',
+    ProtocolVersion: 'V3.0.0',
+    FirmwareVersion: 'V0.0.0',
+    MainboardID: 'simulator',
+    Capabilities: ['FILE_TRANSFER', 'PRINT_CONTROL', 'VIDEO_STREAM']
+};
+const DEFAULT_STATUS = {
+    CurrentStatus: [0],
+    TempOfNozzle: 25,
+    TempTargetNozzle: 0,
+    TempOfHotbed: 25,
+    TempTargetHotbed: 0,
+    TempOfBox: 25,
+    TempTargetBox: 0,
+    CurrenCoord: '0.00,0.00,0.00',
+    PrintInfo: { Status: 0, CurrentLayer: 0, TotalLayer: 0, CurrentTicks: 0, TotalTicks: 0, Filename: '', Progress: 0 }
+};
+
+/**
+ * Read a capture file written by the capture mode of MonitoringService
+ * @param {string} file - Path of the .jsonl file
+ * @returns {{time: number, direction: string, data: any}[]}
+ */
+function loadCapture(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+/**
+ * SDCP printer simulator for offline testing. Serves ws://<host>:<port>/websocket and answers
+ * UDP discovery, replaying the status and attribute messages of a recorded session with their
+ * original timing. Commands are acknowledged with the response recorded for the same Cmd.
+ * Emits 'command' (cmd, data) for every command received.
+ */
+class SdcpSimulator extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {object[]} [options.frames] - Frames of a capture file, see loadCapture()
+     * @param {number} [options.port] - WebSocket port (default: 3030)
+     * @param {number} [options.discoveryPort] - UDP discovery port, 0 to disable (default: 3000)
+     * @param {number} [options.speed] - Replay speed factor (default: 1)
+     * @param {boolean} [options.loop] - Start over when the recording ended
+     */
+    constructor(options = {}) {
+        super();
+        this.port = options.port || 3030;
+        this.discoveryPort = options.discoveryPort !== undefined ? options.discoveryPort : DISCOVERY_PORT;
+        this.speed = options.speed || 1;
+        this.loop = !!options.loop;
+        this.server = null;
+        this.wss = null;
+        this.udp = null;
+        this.clients = new Map();
+
+        const frames = (options.frames || []).filter(frame => frame.direction === 'in' && frame.data && typeof frame.data === 'object');
+        // Pushes are replayed in time, responses are only sent when the command arrives
+        this.pushes = frames.filter(frame => !frame.data.Data || typeof frame.data.Data.Cmd === 'undefined');
+        this.responses = new Map();
+        for (const frame of frames) {
+            if (frame.data.Data && typeof frame.data.Data.Cmd !== 'undefined' && !this.responses.has(frame.data.Data.Cmd)) {
+                this.responses.set(frame.data.Data.Cmd, frame.data);
+            }
+        }
+
+        const attributes = this.pushes.find(frame => frame.data.Attributes);
+        this.attributes = attributes ? attributes.data.Attributes : DEFAULT_ATTRIBUTES;
+        const status = this.pushes.find(frame => frame.data.Status);
+        this.initialStatus = status ? status.data.Status : DEFAULT_STATUS;
+    }
+
+    get mainboardId() {
+        return this.attributes.MainboardID || '';
+    }
+
+    /**
+     * Start the WebSocket server and the discovery responder
+     */
+    async start() {
+        this.server = http.createServer((req, res) => {
+            res.writeHead(404);
+            res.end();
+        });
+        this.wss = new WebSocket.Server({ server: this.server, path: '/websocket' });
+        this.wss.on('connection', ws => this.onConnection(ws));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, resolve);
+        });
+
+        if (this.discoveryPort) {
+            this.udp = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+            this.udp.on('message', (msg, rinfo) => this.onDiscovery(msg, rinfo));
+            await new Promise((resolve, reject) => {
+                this.udp.once('error', reject);
+                this.udp.bind(this.discoveryPort, resolve);
+            });
+        }
+    }
+
+    /**
+     * Close all connections and stop replaying
+     */
+    async stop() {
+        for (const [ws, client] of this.clients) {
+            clearTimeout(client.timer);
+            ws.terminate();
+        }
+        this.clients.clear();
+
+        if (this.udp) {
+            this.udp.close();
+            this.udp = null;
+        }
+        if (this.wss) {
+            this.wss.close();
+            this.wss = null;
+        }
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+    }
+
+    /**
+     * Answer a discovery broadcast; without MainboardIP the adapter uses the sender address
+     */
+    onDiscovery(msg, rinfo) {
+        if (msg.toString() !== DISCOVERY_MESSAGE) {
+            return;
+        }
+        const { Name, MachineName, BrandName, MainboardID, ProtocolVersion, FirmwareVersion } = this.attributes;
+        const reply = JSON.stringify({
+            Id: '',
+            Data: { Name, MachineName, BrandName, MainboardID, ProtocolVersion, FirmwareVersion }
+        });
+        this.udp.send(reply, rinfo.port, rinfo.address);
+    }
+
+    onConnection(ws) {
+        const client = { timer: null, index: 0, status: this.initialStatus };
+        this.clients.set(ws, client);
+
+        ws.on('message', data => {
+            try {
+                this.onCommand(ws, client, JSON.parse(data.toString()));
+            } catch (error) {
+                // Not an SDCP command, a real printer ignores it as well
+            }
+        });
+        ws.on('close', () => {
+            clearTimeout(client.timer);
+            this.clients.delete(ws);
+        });
+
+        this.replayNext(ws, client);
+    }
+
+    /**
+     * Send the next recorded push after the recorded delay
+     */
+    replayNext(ws, client) {
+        if (client.index >= this.pushes.length) {
+            if (!this.loop || !this.pushes.length) {
+                return;
+            }
+            client.index = 0;
+        }
+
+        const frame = this.pushes[client.index];
+        const previous = client.index > 0 ? this.pushes[client.index - 1] : frame;
+        const delay = Math.max(0, frame.time - previous.time) / this.speed;
+
+        client.timer = setTimeout(() => {
+            client.index++;
+            if (frame.data.Status) {
+                client.status = frame.data.Status;
+            }
+            this.send(ws, frame.data);
+            this.replayNext(ws, client);
+        }, delay);
+    }
+
+    /**
+     * Acknowledge a command; status and attribute requests are followed by the current data
+     */
+    onCommand(ws, client, message) {
+        const request = message.Data || {};
+        if (typeof request.Cmd === 'undefined') {
+            return;
+        }
+        this.emit('command', request.Cmd, request.Data || {});
+
+        const recorded = this.responses.get(request.Cmd);
+        const response = recorded
+            ? JSON.parse(JSON.stringify(recorded))
+            : { Id: message.Id || '', Data: { Cmd: request.Cmd, Data: { Ack: 0 } }, Topic: `sdcp/response/${this.mainboardId}` };
+        response.Data.RequestID = request.RequestID;
+        response.Data.MainboardID = this.mainboardId;
+        this.send(ws, response);
+
+        if (request.Cmd === CMD_STATUS) {
+            this.send(ws, { Status: client.status, MainboardID: this.mainboardId, Topic: `sdcp/status/${this.mainboardId}` });
+        } else if (request.Cmd === CMD_ATTRIBUTES) {
+            this.send(ws, { Attributes: this.attributes, MainboardID: this.mainboardId, Topic: `sdcp/attributes/${this.mainboardId}` });
+        }
+    }
+
+    /**
+     * Send a message with the current time stamp
+     */
+    send(ws, message) {
+        if (ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        const timeStamp = Math.floor(Date.now() / 1000);
+        if (message.Data && typeof message.Data === 'object') {
+            message.Data.TimeStamp = timeStamp;
+        }
+        ws.send(JSON.stringify({ ...message, TimeStamp: timeStamp }));
+    }
+}
+
+SdcpSimulator.loadCapture = loadCapture;
+
+module.exports = SdcpSimulator;
+
+// Usage: node lib/simulator.js [capture.jsonl] [--port 3030] [--speed 1] [--loop] [--no-discovery]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+    const file = args.find((arg, index) => !arg.startsWith('--') && (index === 0 || !['--port', '--speed'].includes(args[index - 1])));
+
+    const simulator = new SdcpSimulator({
+        frames: file ? loadCapture(file) : [],
+        port: Number(option('--port')) || 3030,
+        speed: Number(option('--speed')) || 1,
+        loop: args.includes('--loop'),
+        discoveryPort: args.includes('--no-discovery') ? 0 : DISCOVERY_PORT
+    });
+    simulator.on('command', (cmd, data) => console.log(`Command ${cmd}: ${JSON.stringify(data)}`));
+    simulator.start().then(() => {
+        console.log(`Simulating ${simulator.attributes.Name} on ws://localhost:${simulator.port}/websocket${file ? ` replaying ${file}` : ''}`);
+    }, error => {
+        console.error(`Failed to start simulator: ${error.message}`);
+        process.exit(1);
+    });
+    process.on('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+}
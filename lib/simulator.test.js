@@ -0,0 +1,135 @@
+'use strict';
+
+const path = require('path');
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noCallThru();
+const SdcpSimulator = require('./simulator');
+
+// adapter-core needs a js-controller installation, the service only uses it for capture files
+const MonitoringService = proxyquire('./monitoring', {
+    '@iobroker/adapter-core': { getAbsoluteInstanceDataDir: () => path.join(__dirname, '..', 'test', 'data') }
+});
+
+const PORT = 3039;
+const CAPTURE = path.join(__dirname, '..', 'test', 'captures', 'print.jsonl');
+const MAINBOARD_ID = '3c0a1b2d4e5f6071';
+
+/**
+ * Adapter stand-in with the settings main.js normalizes and a store for the written states
+ */
+function createAdapter() {
+    const states = {};
+    const ignore = () => {};
+    return {
+        states,
+        language: 'en',
+        log: { silly: ignore, debug: ignore, info: ignore, warn: ignore, error: ignore },
+        config: {
+            websocketPort: PORT,
+            pollInterval: 10,
+            reconnectInterval: 60,
+            pongTimeout: 10,
+            pushEnabled: false,
+            pushIntervalPrinting: 2,
+            pushIntervalIdle: 30,
+            stateFilters: [],
+            commandTimeout: 5,
+            commandRetries: 0
+        },
+        setState: async (id, value) => {
+            states[id] = value;
+        },
+        getStateAsync: async id => (id in states ? { val: states[id], ack: true } : null)
+    };
+}
+
+/**
+ * Resolve once the emitter fires the event with arguments matching the predicate
+ */
+function waitFor(emitter, event, predicate) {
+    return new Promise(resolve => {
+        const listener = (...args) => {
+            if (predicate(...args)) {
+                emitter.removeListener(event, listener);
+                resolve();
+            }
+        };
+        emitter.on(event, listener);
+    });
+}
+
+describe('SdcpSimulator replaying a print', () => {
+    let simulator;
+    let adapter;
+    let service;
+    let printStatuses;
+
+    beforeEach(async () => {
+        simulator = new SdcpSimulator({ frames: SdcpSimulator.loadCapture(CAPTURE), port: PORT, discoveryPort: 0, speed: 4 });
+        await simulator.start();
+
+        adapter = createAdapter();
+        service = new MonitoringService(adapter, { id: 'cc', name: 'Test', ip: '127.0.0.1', mainboardId: '' });
+        printStatuses = [];
+        service.on('printStatus', status => printStatuses.push(status));
+    });
+
+    afterEach(async () => {
+        await service.stop();
+        await simulator.stop();
+    });
+
+    it('publishes the final status of the capture', async () => {
+        const complete = waitFor(service, 'printStatus', status => status === 9);
+        await service.start();
+        await complete;
+
+        const states = adapter.states;
+        expect(states['printers.cc.info.connection']).to.equal(true);
+        expect(states['printers.cc.print.state']).to.equal('COMPLETE');
+        expect(states['printers.cc.print.statusCode']).to.equal(9);
+        expect(states['printers.cc.print.filename']).to.equal('benchy.gcode');
+        expect(states['printers.cc.print.progress']).to.equal(100);
+        expect(states['printers.cc.print.currentLayer']).to.equal(50);
+        expect(states['printers.cc.print.totalLayers']).to.equal(50);
+        expect(states['printers.cc.info.machineState']).to.equal('IDLE');
+        expect(states['printers.cc.info.errorCode']).to.equal(0);
+        expect(states['printers.cc.temperatures.nozzle.actual']).to.equal(180.4);
+        expect(states['printers.cc.temperatures.nozzle.target']).to.equal(0);
+        expect(states['printers.cc.temperatures.chamber.actual']).to.equal(28.4);
+        expect(states['printers.cc.fans.model']).to.equal(0);
+        expect(states['printers.cc.fans.chamber']).to.equal(40);
+        expect(states['printers.cc.position.z']).to.equal(10);
+        expect(states['printers.cc.position.zOffset']).to.equal(0.05);
+        expect(states['printers.cc.lights.chamber']).to.equal(true);
+    });
+
+    it('emits every print status change in the recorded order', async () => {
+        const complete = waitFor(service, 'printStatus', status => status === 9);
+        await service.start();
+        await complete;
+
+        expect(printStatuses).to.deep.equal([1, 16, 13, 9]);
+    });
+
+    it('learns the MainboardID and device attributes from the printer', async () => {
+        const complete = waitFor(service, 'printStatus', status => status === 9);
+        await service.start();
+        await complete;
+
+        expect(service.mainboardId).to.equal(MAINBOARD_ID);
+        expect(adapter.states['printers.cc.info.device.model']).to.equal('Centauri Carbon');
+        expect(adapter.states['printers.cc.info.device.firmware']).to.equal('V1.1.29');
+    });
+
+    it('answers commands with the recorded response', async () => {
+        const commands = [];
+        simulator.on('command', cmd => commands.push(cmd));
+        const connected = waitFor(service, 'connection', isConnected => isConnected);
+        await service.start();
+        await connected;
+
+        await service.pausePrint();
+        expect(commands).to.include(129);
+    });
+});
@@ -0,0 +1,287 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { httpGet, httpPostForm } = require('./http');
+
+// Size of the parts a file is uploaded in
+const CHUNK_SIZE = 1024 * 1024;
+// Attempts per part before the upload fails
+const CHUNK_ATTEMPTS = 3;
+// How often the watched folder is scanned in milliseconds
+const WATCH_INTERVAL = 10000;
+// Files in the watched folder that are uploaded
+const WATCH_EXTENSIONS = ['.gcode'];
+// Subfolder the watched files are moved to after the upload
+const UPLOADED_FOLDER = 'uploaded';
+
+const UPLOAD_STATUS = {
+    idle: 'idle',
+    uploading: 'uploading',
+    complete: 'complete',
+    failed: 'failed'
+};
+
+/**
+ * Uploads files to the printer via its HTTP upload endpoint (/uploadFile/upload) in parts
+ * with MD5 check and offsets, optionally starting the print afterwards.
+ * Can watch a folder and upload every file that appears in it.
+ * Progress is published in upload.progress and upload.status.
+ */
+class Uploader {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     * @param {import('./files')} files - File manager used to refresh the list and start prints
+     */
+    constructor(adapter, service, files) {
+        this.adapter = adapter;
+        this.service = service;
+        this.files = files;
+        this.busy = false;
+        this.watchFolder = '';
+        this.watchTimer = null;
+        // Size of each file in the watched folder at the last scan, uploaded once it stopped growing
+        this.watchSizes = new Map();
+        // Size of files whose upload failed, retried only once they changed
+        this.watchFailed = new Map();
+    }
+
+    /**
+     * Upload a file to the printer's local storage
+     * @param {{path?: string, url?: string, base64?: string, filename?: string, startAfterUpload?: boolean}} request
+     * @returns {Promise<{filename: string, size: number, started: boolean, startError: string}>}
+     *   Fails only if the upload failed; a print that could not be started is reported in startError
+     */
+    async upload(request = {}) {
+        if (this.busy) {
+            throw new Error('Another upload to this printer is still running');
+        }
+
+        const filename = getFilename(request);
+        this.busy = true;
+        await this.publish(UPLOAD_STATUS.uploading, 0, filename, '');
+
+        try {
+            await this.service.setState('upload.startError', '');
+            const size = await this.uploadFile(filename, request);
+            this.files.refresh().catch(error => this.service.log.debug(`Failed to refresh file list: ${error.message}`));
+
+            let started = false;
+            let startError = '';
+            if (request.startAfterUpload) {
+                try {
+                    await this.files.startPrint(filename);
+                    started = true;
+                } catch (error) {
+                    startError = error.message;
+                    this.service.log.warn(`Uploaded ${filename} but failed to start the print: ${startError}`);
+                    await this.service.setState('upload.startError', startError);
+                }
+            }
+            return { filename, size, started, startError };
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Read and send the file and publish the outcome of the upload
+     * @returns {Promise<number>} Size of the file in bytes
+     */
+    async uploadFile(filename, request) {
+        try {
+            const data = await this.readSource(request);
+            await this.sendFile(filename, data);
+            this.service.log.info(`Uploaded ${filename} (${data.length} bytes)`);
+            await this.publish(UPLOAD_STATUS.complete, 100, filename, '');
+            return data.length;
+        } catch (error) {
+            this.service.log.warn(`Upload of ${filename} failed: ${error.message}`);
+            await this.publish(UPLOAD_STATUS.failed, null, filename, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Load the file content from a local path, a URL or base64 data
+     */
+    async readSource(request) {
+        if (request.base64) {
+            return Buffer.from(request.base64, 'base64');
+        }
+        if (request.path) {
+            return fs.promises.readFile(request.path);
+        }
+        if (request.url) {
+            return (await httpGet(request.url, { timeout: 60000 })).body;
+        }
+        throw new Error('No file given, expected path, url or base64');
+    }
+
+    /**
+     * Send the file in parts; the printer checks the MD5 of the whole file after the last part
+     */
+    async sendFile(filename, data) {
+        if (!data.length) {
+            throw new Error('File is empty');
+        }
+
+        const url = `http://${this.service.printer.ip}:${this.adapter.config.websocketPort}/uploadFile/upload`;
+        const md5 = crypto.createHash('md5').update(data).digest('hex');
+        const uuid = crypto.randomBytes(16).toString('hex');
+
+        for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+            const fields = {
+                'S-File-MD5': md5,
+                Check: 1,
+                Offset: offset,
+                Uuid: uuid,
+                TotalSize: data.length
+            };
+            const chunk = { field: 'File', filename, data: data.subarray(offset, offset + CHUNK_SIZE) };
+
+            await this.sendChunk(url, fields, chunk);
+            await this.publish(UPLOAD_STATUS.uploading, Math.round((offset + chunk.data.length) / data.length * 100), filename, '');
+        }
+    }
+
+    async sendChunk(url, fields, chunk) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await httpPostForm(url, fields, chunk, { timeout: 60000 });
+                const result = parseResponse(response.body);
+                if (!result.success) {
+                    throw new Error(`Printer rejected part at offset ${fields.Offset}: ${result.message}`);
+                }
+                return;
+            } catch (error) {
+                if (attempt >= CHUNK_ATTEMPTS) {
+                    throw error;
+                }
+                this.service.log.debug(`Upload of part at offset ${fields.Offset} failed, retrying: ${error.message}`);
+            }
+        }
+    }
+
+    async publish(status, progress, filename, error) {
+        await this.service.setState('upload.status', status);
+        if (progress !== null) {
+            await this.service.setState('upload.progress', progress);
+        }
+        await this.service.setState('upload.filename', filename);
+        await this.service.setState('upload.error', error);
+    }
+
+    /**
+     * Upload new files appearing in a folder; uploaded files are moved to its subfolder 'uploaded'
+     * @param {string} folder - Folder to watch
+     * @param {boolean} startAfterUpload - Start printing each uploaded file
+     */
+    startWatching(folder, startAfterUpload) {
+        this.stopWatching();
+        if (!folder) {
+            return;
+        }
+
+        this.watchFolder = folder;
+        this.watchSizes.clear();
+        this.watchFailed.clear();
+        this.service.log.info(`Watching ${folder} for files to upload`);
+
+        this.watchTimer = setInterval(() => {
+            this.scanFolder(startAfterUpload).catch(error => this.service.log.warn(`Failed to scan ${folder}: ${error.message}`));
+        }, WATCH_INTERVAL);
+    }
+
+    stopWatching() {
+        if (this.watchTimer) {
+            clearInterval(this.watchTimer);
+            this.watchTimer = null;
+        }
+    }
+
+    /**
+     * Upload the files whose size did not change since the last scan, so files still being written are skipped
+     */
+    async scanFolder(startAfterUpload) {
+        if (this.busy || !this.service.isConnected) {
+            return;
+        }
+
+        await fs.promises.mkdir(this.watchFolder, { recursive: true });
+        const entries = await fs.promises.readdir(this.watchFolder, { withFileTypes: true });
+        const sizes = new Map();
+
+        for (const entry of entries) {
+            if (!entry.isFile() || !WATCH_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                continue;
+            }
+            const file = path.join(this.watchFolder, entry.name);
+            sizes.set(file, (await fs.promises.stat(file)).size);
+        }
+
+        const ready = [...sizes].find(([file, size]) => size > 0 && this.watchSizes.get(file) === size && this.watchFailed.get(file) !== size);
+        this.watchSizes = sizes;
+        if (!ready) {
+            return;
+        }
+
+        const [file, size] = ready;
+        try {
+            // Only one file per scan, so a queue of files does not start several prints at once
+            await this.upload({ path: file, startAfterUpload });
+        } catch (error) {
+            // Reported in upload.status
+            this.watchFailed.set(file, size);
+            return;
+        }
+
+        const target = path.join(this.watchFolder, UPLOADED_FOLDER);
+        await fs.promises.mkdir(target, { recursive: true });
+        await fs.promises.rename(file, path.join(target, path.basename(file)));
+        this.watchSizes.delete(file);
+    }
+
+    stop() {
+        this.stopWatching();
+    }
+}
+
+/**
+ * File name on the printer, taken from the request or the source path or URL
+ */
+function getFilename(request) {
+    let filename = request.filename;
+    if (!filename && request.path) {
+        filename = path.basename(request.path);
+    }
+    if (!filename && request.url) {
+        filename = decodeURIComponent(path.basename(request.url.split('?')[0]));
+    }
+    if (!filename) {
+        throw new Error('No file name given');
+    }
+    return filename.replace(/["\\/]/g, '_');
+}
+
+/**
+ * The printer answers with { code: '000000', messages, data, success }
+ */
+function parseResponse(body) {
+    let result;
+    try {
+        result = JSON.parse(body.toString());
+    } catch (error) {
+        return { success: false, message: `Invalid response ${body.toString().slice(0, 100)}` };
+    }
+
+    const success = result.success === true || result.code === '000000';
+    const messages = Array.isArray(result.messages) ? result.messages.map(m => m.message || m).join(', ') : result.messages;
+    return { success, message: messages || result.code || 'unknown error' };
+}
+
+Uploader.UPLOAD_STATUS = UPLOAD_STATUS;
+
+module.exports = Uploader;
@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Round a number to the given count of decimal places
+ * @param {number} value - Number to round
+ * @param {number} digits - Decimal places, e.g. 2 for costs
+ */
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = { round };
@@ -0,0 +1,238 @@
+'use strict';
+
+const { isPrinterIdle } = require('./messages');
+
+// Heaters checked against their target temperature
+const HEATERS = [
+    { id: 'nozzle', actual: 'TempOfNozzle', target: 'TempTargetNozzle' },
+    { id: 'bed', actual: 'TempOfHotbed', target: 'TempTargetHotbed' }
+];
+
+const ACTIONS = ['none', 'pause', 'cancel'];
+
+/**
+ * Safety watchdog of one printer. Detects heaters diverging from their target, chamber
+ * over-temperature, frozen sensor readings and a lost connection during a print.
+ * An alarm is latched in watchdog.alarm until watchdog.reset is pressed; it can pause or
+ * cancel the print and write a configured foreign state, e.g. to switch off a smart plug.
+ * Emits 'watchdogAlarm' (reason, text) on the monitoring service.
+ */
+class Watchdog {
+    /**
+     * @param {object} adapter - The adapter instance
+     * @param {import('./monitoring')} service - Monitoring service of the printer
+     */
+    constructor(adapter, service) {
+        this.adapter = adapter;
+        this.service = service;
+        this.alarm = false;
+        this.heaters = {};
+        this.sensors = {};
+        this.connectionTimer = null;
+
+        this.service.on('status', status => this.check(status));
+        this.service.on('connection', connected => this.onConnection(connected));
+    }
+
+    /**
+     * Keep an alarm latched across adapter restarts
+     */
+    async init() {
+        const alarm = await this.adapter.getStateAsync(`${this.service.prefix}.watchdog.alarm`);
+        this.alarm = !!(alarm && alarm.val);
+        if (this.alarm) {
+            this.service.log.warn('Watchdog alarm is still active, press watchdog.reset to acknowledge it');
+        }
+    }
+
+    get enabled() {
+        return !!this.adapter.config.watchdogEnabled;
+    }
+
+    /**
+     * Run all temperature checks on a status message
+     */
+    check(status) {
+        if (!this.enabled || this.alarm) {
+            return;
+        }
+
+        const config = this.adapter.config;
+        const now = Date.now();
+        const printing = this.service.printStatus !== undefined && !isPrinterIdle(this.service.printStatus);
+
+        if (typeof status.TempOfBox === 'number' && status.TempOfBox > config.watchdogChamberMax) {
+            return this.raise('chamberOverTemperature', `Chamber temperature ${status.TempOfBox}°C exceeds ${config.watchdogChamberMax}°C`);
+        }
+
+        for (const heater of HEATERS) {
+            const reason = this.checkHeater(heater, status, now);
+            if (reason) {
+                return this.raise(`${heater.id}Deviation`, reason);
+            }
+        }
+
+        if (!printing) {
+            this.sensors = {};
+            return;
+        }
+
+        // Only a heater that is still heating up or cooling down must change its reading
+        for (const heater of HEATERS) {
+            const value = status[heater.actual];
+            const target = status[heater.target];
+            if (typeof value !== 'number' || !target || Math.abs(value - target) <= config.watchdogDeviation) {
+                delete this.sensors[heater.id];
+                continue;
+            }
+
+            const last = this.sensors[heater.id];
+            if (!last || last.value !== value) {
+                this.sensors[heater.id] = { value, since: now };
+            } else if (now - last.since > config.watchdogFrozenTime * 1000) {
+                return this.raise(`${heater.id}SensorFrozen`, `${heater.id} temperature stuck at ${value}°C for ${Math.round((now - last.since) / 1000)}s`);
+            }
+        }
+    }
+
+    /**
+     * A heater deviates once it reached its target and leaves the tolerance again.
+     * Before that, it deviates when it overshoots a raised target while heating up,
+     * or stops falling above a lowered target while cooling down.
+     * @returns {string|null} Alarm text if the deviation lasted longer than allowed
+     */
+    checkHeater(heater, status, now) {
+        const actual = status[heater.actual];
+        const target = status[heater.target];
+        if (typeof actual !== 'number' || typeof target !== 'number') {
+            return null;
+        }
+
+        const config = this.adapter.config;
+        let state = this.heaters[heater.id];
+        if (!state || state.target !== target) {
+            state = this.heaters[heater.id] = { target, heating: actual < target, lowest: actual, reached: false, since: 0 };
+        }
+        if (!target) {
+            return null;
+        }
+
+        const difference = actual - target;
+        if (Math.abs(difference) <= config.watchdogDeviation) {
+            state.reached = true;
+        }
+
+        let deviating = Math.abs(difference) > config.watchdogDeviation;
+        if (!state.reached && state.heating) {
+            deviating = difference > config.watchdogDeviation;
+        } else if (!state.reached) {
+            deviating = deviating && actual >= state.lowest;
+            state.lowest = Math.min(state.lowest, actual);
+        }
+        if (!deviating) {
+            state.since = 0;
+            return null;
+        }
+
+        state.since = state.since || now;
+        if (now - state.since > config.watchdogDeviationTime * 1000) {
+            return `${heater.id} temperature ${actual}°C deviates from target ${target}°C for ${Math.round((now - state.since) / 1000)}s`;
+        }
+        return null;
+    }
+
+    /**
+     * Raise an alarm if the connection stays lost during a print
+     */
+    onConnection(connected) {
+        if (connected) {
+            this.clearConnectionTimer();
+            return;
+        }
+        if (!this.enabled || this.connectionTimer || this.service.printStatus === undefined || isPrinterIdle(this.service.printStatus)) {
+            return;
+        }
+
+        const timeout = this.adapter.config.watchdogConnectionTime;
+        this.connectionTimer = setTimeout(() => {
+            this.connectionTimer = null;
+            if (!this.service.isConnected && !this.alarm) {
+                this.raise('connectionLost', `Connection lost for ${timeout}s during a print`);
+            }
+        }, timeout * 1000);
+    }
+
+    raise(reason, text) {
+        this.alarm = true;
+        this.service.log.error(`Watchdog alarm: ${text}`);
+        this.service.emit('watchdogAlarm', reason, text);
+
+        this.publish(reason, text)
+            .then(() => this.runActions())
+            .catch(error => this.service.log.error(`Watchdog action failed: ${error.message}`));
+    }
+
+    async publish(reason, text) {
+        await this.service.setState('watchdog.alarm', this.alarm);
+        await this.service.setState('watchdog.reason', reason);
+        await this.service.setState('watchdog.text', text);
+        await this.service.setState('watchdog.since', this.alarm ? new Date().toISOString() : '');
+    }
+
+    /**
+     * Pause or cancel the print and write the configured foreign state
+     */
+    async runActions() {
+        const config = this.adapter.config;
+
+        if (config.watchdogAction === 'pause' && this.service.isConnected) {
+            await this.service.runControl('watchdogPause', () => this.service.pausePrint());
+        } else if (config.watchdogAction === 'cancel' && this.service.isConnected) {
+            await this.service.runControl('watchdogCancel', () => this.service.cancelPrint());
+        }
+
+        if (config.watchdogStateId) {
+            this.service.log.warn(`Watchdog sets ${config.watchdogStateId} to ${config.watchdogStateValue}`);
+            await this.adapter.setForeignStateAsync(config.watchdogStateId, parseValue(config.watchdogStateValue));
+        }
+    }
+
+    /**
+     * Acknowledge the alarm and start watching again
+     */
+    async reset() {
+        this.alarm = false;
+        this.heaters = {};
+        this.sensors = {};
+        this.service.log.info('Watchdog alarm reset');
+        await this.publish('', '');
+    }
+
+    clearConnectionTimer() {
+        if (this.connectionTimer) {
+            clearTimeout(this.connectionTimer);
+            this.connectionTimer = null;
+        }
+    }
+
+    stop() {
+        this.clearConnectionTimer();
+    }
+}
+
+/**
+ * Turn the configured value text into boolean, number or string
+ */
+function parseValue(value) {
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (value !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+Watchdog.ACTIONS = ACTIONS;
+
+module.exports = Watchdog;
@@ -1,8 +1,26 @@
 'use strict';
 
+const path = require('path');
 const utils = require('@iobroker/adapter-core');
 const MonitoringService = require('./lib/monitoring');
 const ControlHandler = require('./lib/control');
+const FileManager = require('./lib/files');
+const PrintQueue = require('./lib/queue');
+const PrintHistory = require('./lib/history');
+const Camera = require('./lib/camera');
+const Notifications = require('./lib/notifications');
+const EtaEstimator = require('./lib/eta');
+const Watchdog = require('./lib/watchdog');
+const FilamentTracker = require('./lib/filament');
+const Uploader = require('./lib/upload');
+const JobMetadata = require('./lib/metadata');
+const EnergyTracker = require('./lib/energy');
+const PowerControl = require('./lib/power');
+const { discoverPrinters, selectPrinter } = require('./lib/discovery');
+const { STATUS_CODES, MACHINE_STATUS_CODES, getStates } = require('./lib/messages');
+
+// Objects of the single-printer versions outside printers.<id>
+const LEGACY_OBJECTS = ['info.lastUpdate', 'temperatures', 'print', 'controls', 'fans', 'position', 'lights'];
 
 class ElegooCentauri extends utils.Adapter {
     constructor(options) {
@@ -11,11 +29,14 @@ class ElegooCentauri extends utils.Adapter {
             name: 'elegoo-centauri',
         });
         
-        // CRITICAL FIX: Initialize monitoring service properly
-        this.monitoringService = null;
+        // One monitoring service per configured printer, keyed by device ID
+        this.printers = new Map();
+        // Feature handlers per printer, keyed by device ID
+        this.handlers = new Map();
         
         this.on('ready', this.onReady.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
+        this.on('message', this.onMessage.bind(this));
         this.on('unload', this.onUnload.bind(this));
     }
 
@@ -25,28 +46,131 @@ class ElegooCentauri extends utils.Adapter {
     async onReady() {
         this.log.info('Starting Elegoo Centauri adapter');
         
-        // Validate configuration
-        if (!this.config.printerIp) {
-            this.log.error('Printer IP address not configured. Please check adapter settings.');
-            return;
-        }
-
         // Set default values if not configured
-        this.config.printerIp = this.config.printerIp || '192.168.178.34';
         this.config.pollInterval = parseInt(this.config.pollInterval) || 10;
         this.config.reconnectInterval = parseInt(this.config.reconnectInterval) || 60;
-        this.config.websocketPort = parseInt(this.config.websocketPort) || 3030; // Not used in SDCP but kept for compatibility
-        this.config.cameraPort = parseInt(this.config.cameraPort) || 8080;
+        // Older versions stored the ports as wsPort and camPort
+        this.config.websocketPort = parseInt(this.config.websocketPort || this.config.wsPort) || 3030;
+        this.config.cameraPort = parseInt(this.config.cameraPort || this.config.camPort) || 8080;
+        this.config.pongTimeout = parseInt(this.config.pongTimeout) || 10;
+        this.config.pushEnabled = this.config.pushEnabled !== false;
+        this.config.pushIntervalPrinting = parseInt(this.config.pushIntervalPrinting) || 2;
+        this.config.pushIntervalIdle = parseInt(this.config.pushIntervalIdle) || 30;
+        this.config.stateFilters = this.parseStateFilters(this.config.stateFilters);
+        this.config.commandTimeout = parseInt(this.config.commandTimeout) || 5;
+        this.config.historyMaxEntries = parseInt(this.config.historyMaxEntries) || 200;
+        this.config.snapshotInterval = parseInt(this.config.snapshotInterval) || 0;
+        this.config.filamentSpoolWeight = parseFloat(this.config.filamentSpoolWeight) || 1000;
+        this.config.filamentPricePerKg = parseFloat(this.config.filamentPricePerKg) || 0;
+        this.config.filamentLowWarning = isNaN(parseFloat(this.config.filamentLowWarning)) ? 100 : parseFloat(this.config.filamentLowWarning);
+        this.config.filamentDensity = parseFloat(this.config.filamentDensity) || 1.24;
+        this.config.uploadWatchFolder = (this.config.uploadWatchFolder || '').trim();
+        this.config.energyPricePerKwh = parseFloat(this.config.energyPricePerKwh) || 0;
+        this.config.powerOffNozzleTemp = parseFloat(this.config.powerOffNozzleTemp) || 50;
+        this.config.powerOffGraceTime = isNaN(parseFloat(this.config.powerOffGraceTime)) ? 10 : parseFloat(this.config.powerOffGraceTime);
+        this.config.powerOffFanTime = isNaN(parseFloat(this.config.powerOffFanTime)) ? 5 : parseFloat(this.config.powerOffFanTime);
+        this.config.powerOnTimeout = parseInt(this.config.powerOnTimeout) || 180;
+        this.config.watchdogDeviation = parseFloat(this.config.watchdogDeviation) || 15;
+        this.config.watchdogDeviationTime = parseInt(this.config.watchdogDeviationTime) || 120;
+        this.config.watchdogChamberMax = parseFloat(this.config.watchdogChamberMax) || 65;
+        this.config.watchdogFrozenTime = parseInt(this.config.watchdogFrozenTime) || 600;
+        this.config.watchdogConnectionTime = parseInt(this.config.watchdogConnectionTime) || 300;
+        if (!Watchdog.ACTIONS.includes(this.config.watchdogAction)) {
+            this.config.watchdogAction = 'none';
+        }
+        this.config.filamentRunoutCodes = String(this.config.filamentRunoutCodes || '').split(',')
+            .map(code => parseInt(code)).filter(code => !isNaN(code));
+        this.config.commandRetries = isNaN(parseInt(this.config.commandRetries)) ? 2 : parseInt(this.config.commandRetries);
 
-        this.log.info(`Configuration: IP=${this.config.printerIp}, Poll=${this.config.pollInterval}s, Reconnect=${this.config.reconnectInterval}s`);
+        this.log.info(`Configuration: Poll=${this.config.pollInterval}s, Reconnect=${this.config.reconnectInterval}s`);
 
         try {
+            // Status and error texts follow the system language
+            const systemConfig = await this.getForeignObjectAsync('system.config');
+            this.language = (systemConfig && systemConfig.common && systemConfig.common.language) || 'en';
+            this.currency = (systemConfig && systemConfig.common && systemConfig.common.currency) || '€';
+
             // Create all necessary objects
             await this.createObjects();
-            
-            // CRITICAL FIX: Initialize and start monitoring service
-            this.monitoringService = new MonitoringService(this);
-            await this.monitoringService.start();
+
+            // Build the list of printers from the configuration and discovery
+            const printers = await this.resolvePrinters();
+            if (!printers.length) {
+                this.log.error('No printer configured and no printer discovered. Please check adapter settings.');
+                return;
+            }
+
+            for (const printer of printers) {
+                await this.createPrinterObjects(printer);
+                
+                const service = new MonitoringService(this, printer);
+                const control = new ControlHandler(this, service);
+                const power = new PowerControl(this, service, control);
+                const files = new FileManager(this, service, power);
+                const handlers = {
+                    control,
+                    power,
+                    files,
+                    queue: new PrintQueue(this, service, files),
+                    history: new PrintHistory(this, service),
+                    camera: new Camera(this, service),
+                    eta: new EtaEstimator(this, service),
+                    watchdog: new Watchdog(this, service),
+                    filament: new FilamentTracker(this, service, files),
+                    upload: new Uploader(this, service, files)
+                };
+                handlers.notifications = new Notifications(this, service, handlers.camera);
+                handlers.metadata = new JobMetadata(this, service, files, handlers.history);
+                handlers.energy = new EnergyTracker(this, service, handlers.history);
+                await handlers.queue.init();
+                await handlers.history.init();
+                await handlers.watchdog.init();
+                await handlers.filament.init();
+                await handlers.energy.init();
+                
+                service.on('connection', (connected) => {
+                    this.updateConnectionState();
+                    if (connected) {
+                        handlers.files.refresh().catch(error => service.log.warn(`Failed to load file list: ${error.message}`));
+                    }
+                });
+                service.on('mainboardId', mainboardId => {
+                    this.extendObjectAsync(`printers.${printer.id}`, { native: { mainboardId } })
+                        .then(() => this.saveMainboardIds([printer]))
+                        .catch(error => service.log.warn(`Failed to save MainboardID: ${error.message}`));
+                });
+                this.printers.set(printer.id, service);
+                this.handlers.set(printer.id, handlers);
+            }
+
+            this.subscribeStates('printers.*.controls.*');
+            this.subscribeStates('printers.*.temperatures.*.target');
+            this.subscribeStates('printers.*.fans.*');
+            this.subscribeStates('printers.*.lights.rgb.*');
+            this.subscribeStates('printers.*.print.speedMode');
+            this.subscribeStates('printers.*.files.storage');
+            this.subscribeStates('printers.*.files.refresh');
+            this.subscribeStates('printers.*.queue.*');
+            this.subscribeStates('printers.*.history.refresh');
+            this.subscribeStates('printers.*.camera.enabled');
+            this.subscribeStates('printers.*.camera.takeSnapshot');
+            this.subscribeStates('printers.*.camera.timelapse');
+            this.subscribeStates('printers.*.camera.downloadTimelapse');
+            this.subscribeStates('printers.*.watchdog.reset');
+            this.subscribeStates('printers.*.filament.spool.*');
+
+            for (const service of this.printers.values()) {
+                service.setCapture(!!this.config.captureEnabled);
+                await service.start();
+            }
+
+            if (this.config.uploadWatchFolder) {
+                // With several printers every printer watches its own subfolder
+                for (const [id, handlers] of this.handlers) {
+                    const folder = this.handlers.size > 1 ? path.join(this.config.uploadWatchFolder, id) : this.config.uploadWatchFolder;
+                    handlers.upload.startWatching(folder, !!this.config.uploadWatchStart);
+                }
+            }
             
             this.log.info('Elegoo Centauri adapter started successfully');
             
@@ -59,6 +183,11 @@ class ElegooCentauri extends utils.Adapter {
      * Handle state changes from ioBroker
      */
     async onStateChange(id, state) {
+        // Meter states of other adapters are usually written with ack
+        if (state && !id.startsWith(`${this.namespace}.`)) {
+            this.onForeignStateChange(id, state);
+            return;
+        }
         if (!state || state.ack) {
             return; // Ignore acknowledged state changes
         }
@@ -66,56 +195,165 @@ class ElegooCentauri extends utils.Adapter {
         const idNoNamespace = id.replace(this.namespace + '.', '');
         this.log.debug(`State change: ${idNoNamespace} = ${state.val}`);
 
+        // Route the command to the monitoring service of the addressed printer
+        const match = /^printers\.([^.]+)\.(.+)$/.exec(idNoNamespace);
+        const service = match && this.printers.get(match[1]);
+        const handlers = match && this.handlers.get(match[1]);
+        if (!service) {
+            this.log.warn(`No printer available for state change: ${idNoNamespace}`);
+            return;
+        }
+
+        // The value was not written by the service, so the next update must not be skipped
+        service.forgetState(match[2]);
+
         try {
-            // CRITICAL FIX: Route commands through monitoring service
-            if (this.monitoringService) {
-                switch (idNoNamespace) {
-                    case 'controls.pause':
-                        if (state.val) {
-                            this.log.info('Pausing print via state change');
-                            this.monitoringService.pausePrint();
-                            // Acknowledge the command
-                            await this.setState('controls.pause', false, true);
+            if (match[2].startsWith('queue.')) {
+                await handlers.queue.handleStateChange(match[2], state.val);
+                return;
+            }
+            if (match[2].startsWith('filament.')) {
+                await handlers.filament.handleStateChange(match[2], state.val);
+                return;
+            }
+
+            switch (match[2]) {
+                case 'controls.pause':
+                    if (state.val) {
+                        service.log.info('Pausing print via state change');
+                        // Acknowledge the command only once the printer did
+                        if (await service.runControl('pause', () => service.pausePrint())) {
+                            await this.setState(id, false, true);
+                        }
+                    }
+                    break;
+                    
+                case 'controls.resume':
+                    if (state.val) {
+                        service.log.info('Resuming print via state change');
+                        if (await service.runControl('resume', () => service.resumePrint())) {
+                            await this.setState(id, false, true);
                         }
-                        break;
-                        
-                    case 'controls.resume':
-                        if (state.val) {
-                            this.log.info('Resuming print via state change');
-                            this.monitoringService.resumePrint();
-                            await this.setState('controls.resume', false, true);
+                    }
+                    break;
+                    
+                case 'controls.cancel':
+                    if (state.val) {
+                        service.log.info('Canceling print via state change');
+                        if (await service.runControl('cancel', () => service.cancelPrint())) {
+                            await this.setState(id, false, true);
                         }
-                        break;
-                        
-                    case 'controls.cancel':
-                        if (state.val) {
-                            this.log.info('Canceling print via state change');
-                            this.monitoringService.cancelPrint();
-                            await this.setState('controls.cancel', false, true);
+                    }
+                    break;
+                    
+                case 'controls.light':
+                    service.log.info(`Setting chamber light: ${state.val ? 'ON' : 'OFF'}`);
+                    if (await service.runControl('light', () => service.toggleLight(!!state.val))) {
+                        await this.setState(id, !!state.val, true);
+                    }
+                    break;
+                    
+                case 'controls.refresh':
+                    if (state.val) {
+                        service.log.info('Manual status refresh requested');
+                        if (await service.runControl('refresh', () => service.requestStatus())) {
+                            await this.setState(id, false, true);
                         }
-                        break;
-                        
-                    case 'controls.light':
-                        this.log.info(`Setting chamber light: ${state.val ? 'ON' : 'OFF'}`);
-                        this.monitoringService.toggleLight(!!state.val);
-                        await this.setState('controls.light', !!state.val, true);
-                        break;
-                        
-                    case 'controls.refresh':
-                        if (state.val) {
-                            this.log.info('Manual status refresh requested');
-                            this.monitoringService.requestStatus();
-                            await this.setState('controls.refresh', false, true);
+                    }
+                    break;
+                    
+                case 'controls.startPrint':
+                    if (state.val) {
+                        const options = await this.getStartPrintOptions(match[1]);
+                        if (await service.runControl('startPrint', () => handlers.files.startPrint(state.val, options))) {
+                            await this.setState(id, state.val, true);
                         }
-                        break;
-                        
-                    default:
+                    }
+                    break;
+
+                case 'controls.deleteFile':
+                    if (state.val) {
+                        if (await service.runControl('deleteFile', () => handlers.files.deleteFile(state.val))) {
+                            await this.setState(id, state.val, true);
+                        }
+                    }
+                    break;
+
+                case 'files.refresh':
+                    if (state.val) {
+                        if (await service.runControl('refreshFiles', () => handlers.files.refresh())) {
+                            await this.setState(id, false, true);
+                        }
+                    }
+                    break;
+
+                case 'history.refresh':
+                    if (state.val) {
+                        if (await service.runControl('refreshHistory', () => handlers.history.refreshPrinterHistory())) {
+                            await this.setState(id, false, true);
+                        }
+                    }
+                    break;
+
+                case 'camera.enabled':
+                    if (await service.runControl('camera', () => handlers.camera.enableStream(!!state.val))) {
+                        await this.setState(id, !!state.val, true);
+                    }
+                    break;
+
+                case 'camera.takeSnapshot':
+                    if (state.val) {
+                        if (await service.runControl('snapshot', () => handlers.camera.takeSnapshot())) {
+                            await this.setState(id, false, true);
+                        }
+                    }
+                    break;
+
+                case 'camera.timelapse':
+                    if (await service.runControl('timelapse', () => handlers.camera.setTimelapse(!!state.val))) {
+                        await this.setState(id, !!state.val, true);
+                    }
+                    break;
+
+                case 'camera.downloadTimelapse':
+                    if (state.val) {
+                        const taskId = String(state.val);
+                        if (await service.runControl('downloadTimelapse', () => handlers.camera.downloadTimelapse(handlers.history.printerHistory, taskId))) {
+                            await this.setState(id, state.val, true);
+                        }
+                    }
+                    break;
+
+                case 'controls.capture':
+                    service.setCapture(!!state.val);
+                    break;
+
+                case 'watchdog.reset':
+                    if (state.val) {
+                        await handlers.watchdog.reset();
+                        await this.setState(id, false, true);
+                    }
+                    break;
+
+                case 'files.storage':
+                    if (await service.runControl('refreshFiles', () => handlers.files.refresh(state.val))) {
+                        await this.setState(id, state.val, true);
+                    }
+                    break;
+
+                default: {
+                    // Targets and fan speeds are handled by the control handler
+                    const result = handlers.control.handleCommand(match[2], state.val);
+                    if (result) {
+                        if (await result) {
+                            await this.setState(id, state.val, true);
+                        }
+                    } else {
                         // Unknown control, just acknowledge
                         await this.setState(id, state.val, true);
-                        break;
+                    }
+                    break;
                 }
-            } else {
-                this.log.warn('Monitoring service not available for state change');
             }
             
         } catch (error) {
@@ -123,6 +361,459 @@ class ElegooCentauri extends utils.Adapter {
         }
     }
 
+    /**
+     * Pass readings of the linked energy meters to the printers using them
+     */
+    onForeignStateChange(id, state) {
+        for (const handlers of this.handlers.values()) {
+            if (handlers.energy.stateId === id) {
+                handlers.energy.onMeterValue(state.val);
+            }
+        }
+    }
+
+    /**
+     * Handle sendTo messages, e.g. from the admin page
+     */
+    async onMessage(obj) {
+        if (!obj || !obj.command) {
+            return;
+        }
+
+        try {
+            switch (obj.command) {
+                case 'discover': {
+                    const printers = await this.discover();
+                    this.respond(obj, { printers });
+                    break;
+                }
+
+                case 'testConnection': {
+                    this.respond(obj, await this.testConnection(obj.message || {}));
+                    break;
+                }
+
+                case 'scanNetwork': {
+                    this.respond(obj, await this.scanNetwork(obj.message || {}));
+                    break;
+                }
+
+                case 'getFiles': {
+                    const { files } = this.getHandlersForMessage(obj.message);
+                    const message = obj.message || {};
+                    const fileList = message.path
+                        ? await files.listFiles(message.path)
+                        : await files.refresh(message.storage);
+                    this.respond(obj, { files: fileList });
+                    break;
+                }
+
+                case 'startPrint': {
+                    const { files } = this.getHandlersForMessage(obj.message);
+                    const message = obj.message || {};
+                    await files.startPrint(message.filename, {
+                        startLayer: message.startLayer,
+                        autoLeveling: message.autoLeveling
+                    });
+                    this.respond(obj, { result: 'ok' });
+                    break;
+                }
+
+                case 'deleteFile': {
+                    const { files } = this.getHandlersForMessage(obj.message);
+                    await files.deleteFile((obj.message || {}).filename);
+                    this.respond(obj, { result: 'ok' });
+                    break;
+                }
+
+                case 'queueList': {
+                    const { queue } = this.getHandlersForMessage(obj.message);
+                    this.respond(obj, { jobs: queue.jobs });
+                    break;
+                }
+
+                case 'queueAdd': {
+                    const { queue } = this.getHandlersForMessage(obj.message);
+                    const message = obj.message || {};
+                    const job = await queue.add(message, message.position);
+                    this.respond(obj, { job, jobs: queue.jobs });
+                    break;
+                }
+
+                case 'queueRemove': {
+                    const { queue } = this.getHandlersForMessage(obj.message);
+                    const message = obj.message || {};
+                    await queue.remove(message.id || message.filename);
+                    this.respond(obj, { jobs: queue.jobs });
+                    break;
+                }
+
+                case 'queueMove': {
+                    const { queue } = this.getHandlersForMessage(obj.message);
+                    const message = obj.message || {};
+                    await queue.move(message.id || message.filename, message.position);
+                    this.respond(obj, { jobs: queue.jobs });
+                    break;
+                }
+
+                case 'queueClear': {
+                    const { queue } = this.getHandlersForMessage(obj.message);
+                    await queue.clear();
+                    this.respond(obj, { jobs: queue.jobs });
+                    break;
+                }
+
+                case 'getHistory': {
+                    const { history } = this.getHandlersForMessage(obj.message);
+                    const message = obj.message || {};
+                    if (message.source === 'printer') {
+                        await history.refreshPrinterHistory();
+                    }
+                    this.respond(obj, { jobs: history.getHistory(message), totals: history.totals });
+                    break;
+                }
+
+                case 'sdcp': {
+                    const { control } = this.getHandlersForMessage(obj.message);
+                    const message = obj.message || {};
+                    const response = await control.sendRawCommand(message);
+                    this.respond(obj, { cmd: Number(message.cmd), response });
+                    break;
+                }
+
+                case 'upload': {
+                    const { upload } = this.getHandlersForMessage(obj.message);
+                    const result = await upload.upload(obj.message || {});
+                    this.respond(obj, { result: 'ok', ...result });
+                    break;
+                }
+
+                case 'snapshot': {
+                    const { camera } = this.getHandlersForMessage(obj.message);
+                    const snapshot = await camera.takeSnapshot();
+                    this.respond(obj, snapshot);
+                    break;
+                }
+
+                case 'getTimelapses': {
+                    const { camera, history } = this.getHandlersForMessage(obj.message);
+                    await history.refreshPrinterHistory();
+                    this.respond(obj, { timelapses: await camera.updateTimelapses(history.printerHistory) });
+                    break;
+                }
+
+                case 'getTimelapse': {
+                    const { camera, history } = this.getHandlersForMessage(obj.message);
+                    const message = obj.message || {};
+                    if (!history.printerHistory.some(task => task.taskId === message.taskId)) {
+                        await history.refreshPrinterHistory();
+                    }
+                    const file = await camera.downloadTimelapse(history.printerHistory, message.taskId);
+                    this.respond(obj, { path: file });
+                    break;
+                }
+
+                default:
+                    this.log.warn(`Unknown message command: ${obj.command}`);
+                    this.respond(obj, { error: `Unknown command: ${obj.command}` });
+                    break;
+            }
+        } catch (error) {
+            this.log.error(`Error handling message ${obj.command}: ${error.message}`);
+            this.respond(obj, { error: error.message });
+        }
+    }
+
+    /**
+     * Answer a sendTo message if the sender expects a callback
+     */
+    respond(obj, result) {
+        if (obj.callback) {
+            this.sendTo(obj.from, obj.command, result, obj.callback);
+        }
+    }
+
+    /**
+     * Find the handlers of the printer addressed by a sendTo message.
+     * The printer can be omitted if only one printer is configured.
+     */
+    getHandlersForMessage(message) {
+        const printerId = message && message.printer;
+        if (printerId) {
+            const handlers = this.handlers.get(printerId);
+            if (!handlers) {
+                throw new Error(`Unknown printer ${printerId}`);
+            }
+            return handlers;
+        }
+
+        if (this.handlers.size === 1) {
+            return this.handlers.values().next().value;
+        }
+        throw new Error(`Please specify the printer, one of: ${[...this.handlers.keys()].join(', ')}`);
+    }
+
+    /**
+     * Read start layer and auto-leveling option for controls.startPrint
+     */
+    async getStartPrintOptions(printerId) {
+        const startLayer = await this.getStateAsync(`printers.${printerId}.controls.startLayer`);
+        const autoLeveling = await this.getStateAsync(`printers.${printerId}.controls.autoLeveling`);
+        return {
+            startLayer: startLayer ? startLayer.val : 0,
+            autoLeveling: autoLeveling ? !!autoLeveling.val : false
+        };
+    }
+
+    /**
+     * Turn the state filter table into filters with a regular expression per pattern.
+     * Patterns are state IDs below the printer device, '*' matches any part of an ID.
+     */
+    parseStateFilters(rows) {
+        if (!Array.isArray(rows)) {
+            return [];
+        }
+
+        return rows
+            .filter(row => row && row.enabled !== false && row.pattern)
+            .map(row => ({
+                pattern: row.pattern,
+                regex: new RegExp(`^${row.pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`),
+                deadband: parseFloat(row.deadband) || 0,
+                forceUpdate: parseFloat(row.forceUpdate) || 0
+            }));
+    }
+
+    /**
+     * Search the local network for printers and publish the result in info.discovered
+     */
+    discover() {
+        this.log.info('Searching for printers on the local network');
+
+        return new Promise((resolve, reject) => {
+            discoverPrinters((err, printers) => {
+                if (err) {
+                    this.log.warn(`Printer discovery failed: ${err.message}`);
+                    return reject(err);
+                }
+
+                this.log.info(`Discovery finished, found ${printers.length} printer(s)`);
+                for (const printer of printers) {
+                    this.log.debug(`Discovered ${printer.name} (${printer.model}) at ${printer.ip}, MainboardID ${printer.mainboardId}, firmware ${printer.firmware}`);
+                }
+
+                this.setStateAsync('info.discovered', JSON.stringify(printers), true)
+                    .catch(error => this.log.warn(`Failed to publish discovered printers: ${error.message}`));
+                resolve(printers);
+            });
+        });
+    }
+
+    /**
+     * Open a short SDCP session with the printer entered on the admin page and describe it
+     * @param {{ip?: string, port?: number|string}} message
+     */
+    async testConnection(message) {
+        const ip = (message.ip || '').trim();
+        const port = parseInt(message.port) || 3030;
+        if (!ip) {
+            return { error: 'Please enter the printer IP first' };
+        }
+
+        try {
+            const { attributes, latency } = await MonitoringService.probePrinter(ip, port);
+            const device = {
+                name: attributes.Name || '',
+                model: attributes.MachineName || '',
+                firmware: attributes.FirmwareVersion || '',
+                mainboardId: attributes.MainboardID || ''
+            };
+            this.log.info(`Connection test to ${ip}:${port} succeeded: ${JSON.stringify(device)}`);
+            return {
+                result: `Connected to ${device.name || device.model} (${device.model}) in ${latency} ms, firmware ${device.firmware}, Mainboard ID ${device.mainboardId}`,
+                device
+            };
+        } catch (error) {
+            this.log.warn(`Connection test to ${ip}:${port} failed: ${error.message}`);
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Discover printers for the admin page and add new ones to its printer list.
+     * Known printers are matched by MainboardID or IP and get their current IP.
+     * @param {{printers?: object[]}} message - Printer list currently shown on the admin page
+     */
+    async scanNetwork(message) {
+        const printers = Array.isArray(message.printers) ? message.printers.map(p => ({ ...p })) : [];
+        const discovered = await this.discover();
+        let added = 0;
+
+        for (const found of discovered) {
+            const known = printers.find(p => (found.mainboardId && p.mainboardId === found.mainboardId) || p.ip === found.ip);
+            if (known) {
+                known.ip = found.ip;
+                known.mainboardId = known.mainboardId || found.mainboardId;
+            } else {
+                printers.push({ enabled: true, name: found.name || found.model, ip: found.ip, mainboardId: found.mainboardId });
+                added++;
+            }
+        }
+
+        if (!discovered.length) {
+            return { result: 'No printers discovered' };
+        }
+        const names = discovered.map(p => `${p.name || p.model} (${p.ip})`).join(', ');
+        return { native: { printers }, result: `Found ${names}, ${added} added to the printer list` };
+    }
+
+    /**
+     * Build the list of printers to monitor.
+     * Uses the printer list from the settings, or the single printer IP for older configurations.
+     * Discovery fills in missing IPs and MainboardIDs and updates IPs when auto-discovery is on.
+     */
+    async resolvePrinters() {
+        const configured = Array.isArray(this.config.printers)
+            ? this.config.printers
+                .map((p, index) => ({ ...p, index }))
+                .filter(p => p.enabled !== false && (p.ip || p.mainboardId))
+            : [];
+        const isLegacy = configured.length === 0;
+        const entries = isLegacy
+            ? [{
+                name: '',
+                ip: this.config.printerIp || '',
+                mainboardId: this.config.mainboardId || '',
+                energyStateId: (this.config.energyStateId || '').trim(),
+                powerStateId: (this.config.powerStateId || '').trim(),
+                configIndex: -1
+            }]
+            : configured.map(p => ({
+                name: p.name || '',
+                ip: (p.ip || '').trim(),
+                mainboardId: (p.mainboardId || '').trim(),
+                energyStateId: (p.energyStateId || '').trim(),
+                powerStateId: (p.powerStateId || '').trim(),
+                configIndex: p.index
+            }));
+
+        let discovered = [];
+        if (this.config.autoDiscovery || entries.some(p => !p.ip || !p.mainboardId)) {
+            try {
+                discovered = await this.discover();
+            } catch (error) {
+                // Already logged, continue with the configured addresses
+            }
+        }
+
+        // Devices of earlier starts keep their ID, even if it was derived from the IP
+        const devices = (await this.getObjectViewAsync('system', 'device', {
+            startkey: `${this.namespace}.printers.`,
+            endkey: `${this.namespace}.printers.\u9999`
+        })).rows.map(row => row.value);
+
+        const printers = [];
+        for (const entry of entries) {
+            let found = null;
+            if (entry.mainboardId) {
+                found = discovered.find(p => p.mainboardId === entry.mainboardId) || null;
+            } else if (entry.ip) {
+                found = discovered.find(p => p.ip === entry.ip) || null;
+            } else if (isLegacy) {
+                found = selectPrinter(discovered, '');
+            }
+
+            if (found) {
+                if (this.config.autoDiscovery || !entry.ip) {
+                    entry.ip = found.ip;
+                }
+                entry.mainboardId = entry.mainboardId || found.mainboardId;
+                entry.name = entry.name || found.name;
+            }
+
+            if (!entry.ip) {
+                this.log.warn(`Printer ${entry.name || entry.mainboardId} not found on the network, skipping`);
+                continue;
+            }
+
+            const device = this.findDevice(devices, entry);
+            if (device) {
+                entry.id = device._id.split('.').pop();
+                entry.mainboardId = entry.mainboardId || device.native.mainboardId || '';
+            } else {
+                entry.id = this.getPrinterId(entry);
+            }
+            if (printers.some(p => p.id === entry.id)) {
+                this.log.warn(`Printer ${entry.id} is configured more than once, skipping duplicate`);
+                continue;
+            }
+
+            // Re-discovery on reconnect needs a MainboardID to tell several printers apart
+            entry.autoDiscovery = !!this.config.autoDiscovery && (!!entry.mainboardId || entries.length === 1);
+            printers.push(entry);
+            this.log.info(`Printer ${entry.name || entry.id}: IP=${entry.ip}, MainboardID=${entry.mainboardId || 'unknown'}`);
+        }
+
+        await this.saveMainboardIds(printers);
+        return printers;
+    }
+
+    /**
+     * Store MainboardIDs that were missing in the settings, so the printer is still
+     * recognized after an IP change. Changing the settings restarts the adapter.
+     */
+    async saveMainboardIds(printers) {
+        const instanceId = `system.adapter.${this.namespace}`;
+        const instance = await this.getForeignObjectAsync(instanceId);
+        if (!instance) {
+            return;
+        }
+
+        const native = {};
+        const rows = Array.isArray(instance.native.printers) ? instance.native.printers.map(row => ({ ...row })) : [];
+        for (const printer of printers.filter(p => p.mainboardId)) {
+            if (printer.configIndex < 0) {
+                if (!instance.native.mainboardId) {
+                    native.mainboardId = printer.mainboardId;
+                }
+            } else if (rows[printer.configIndex] && !(rows[printer.configIndex].mainboardId || '').trim()) {
+                rows[printer.configIndex].mainboardId = printer.mainboardId;
+                native.printers = rows;
+            }
+        }
+
+        if (Object.keys(native).length) {
+            this.log.info('Saving the MainboardIDs of the printers in the adapter settings');
+            await this.extendForeignObjectAsync(instanceId, { native });
+        }
+    }
+
+    /**
+     * Existing device of a printer, by MainboardID or else by IP address.
+     * A device with another MainboardID at the same IP belongs to a different printer.
+     */
+    findDevice(devices, printer) {
+        const mainboardId = printer.mainboardId;
+        return devices.find(device => mainboardId && device.native.mainboardId === mainboardId)
+            || devices.find(device => device.native.ip === printer.ip
+                && (!mainboardId || !device.native.mainboardId || device.native.mainboardId === mainboardId));
+    }
+
+    /**
+     * Device ID of a printer: the MainboardID, or the IP address if it is unknown
+     */
+    getPrinterId(printer) {
+        return (printer.mainboardId || printer.ip).replace(this.FORBIDDEN_CHARS, '_').replace(/[.\s]/g, '_');
+    }
+
+    /**
+     * The adapter counts as connected as soon as one printer is connected
+     */
+    updateConnectionState() {
+        const connected = [...this.printers.values()].some(service => service.isConnected);
+        this.setState('info.connection', connected, true);
+    }
+
     /**
      * Clean shutdown
      */
@@ -130,11 +821,20 @@ class ElegooCentauri extends utils.Adapter {
         try {
             this.log.info('Shutting down Elegoo Centauri adapter');
             
-            // CRITICAL FIX: Properly stop monitoring service
-            if (this.monitoringService) {
-                await this.monitoringService.stop();
-                this.monitoringService = null;
+            // CRITICAL FIX: Properly stop monitoring services
+            for (const service of this.printers.values()) {
+                service.removeAllListeners();
+                await service.stop();
             }
+            for (const handlers of this.handlers.values()) {
+                handlers.camera.stopSnapshots();
+                handlers.watchdog.stop();
+                handlers.upload.stop();
+                handlers.energy.stop();
+                handlers.power.stop();
+            }
+            this.printers.clear();
+            this.handlers.clear();
             
             // Update connection status
             await this.setState('info.connection', false, true);
@@ -166,69 +866,576 @@ class ElegooCentauri extends utils.Adapter {
         await this.setObjectNotExistsAsync('info.connection', {
             type: 'state',
             common: {
-                name: 'Connected to Printer',
-                type: 'boolean',
-                role: 'indicator.connected',
+                name: 'Connected to at least one Printer',
+                type: 'boolean',
+                role: 'indicator.connected',
+                read: true,
+                write: false,
+                def: false
+            },
+            native: {}
+        });
+        
+        await this.setObjectNotExistsAsync('info.discovered', {
+            type: 'state',
+            common: {
+                name: 'Discovered Printers',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+                def: '[]'
+            },
+            native: {}
+        });
+
+        // Meta object for snapshots in the file storage
+        await this.setForeignObjectNotExistsAsync(this.namespace, {
+            type: 'meta',
+            common: { name: 'Files', type: 'meta.user' },
+            native: {}
+        });
+
+        await this.setObjectNotExistsAsync('printers', {
+            type: 'folder',
+            common: { name: 'Printers' },
+            native: {}
+        });
+
+        // Single-printer versions kept the printer states at the top level, they moved below printers.<id>
+        for (const id of LEGACY_OBJECTS) {
+            if (await this.getObjectAsync(id)) {
+                this.log.info(`Removing obsolete object ${id}`);
+                await this.delObjectAsync(id, { recursive: true });
+            }
+        }
+        
+        this.log.info('All ioBroker objects created successfully');
+    }
+
+    /**
+     * Create the device tree of a single printer below printers.<id>
+     */
+    async createPrinterObjects(printer) {
+        const p = `printers.${printer.id}`;
+        this.log.info(`Creating ioBroker objects for printer ${printer.id}`);
+
+        await this.extendObjectAsync(p, {
+            type: 'device',
+            common: { name: printer.name || printer.id },
+            native: { ip: printer.ip, mainboardId: printer.mainboardId }
+        });
+
+        await this.setObjectNotExistsAsync(`${p}.info`, {
+            type: 'channel',
+            common: { name: 'Information' },
+            native: {}
+        });
+        
+        await this.setObjectNotExistsAsync(`${p}.info.connection`, {
+            type: 'state',
+            common: {
+                name: 'Connected to Printer',
+                type: 'boolean',
+                role: 'indicator.connected',
+                read: true,
+                write: false,
+                def: false
+            },
+            native: {}
+        });
+        
+        await this.setObjectNotExistsAsync(`${p}.info.lastUpdate`, {
+            type: 'state',
+            common: {
+                name: 'Last Status Update',
+                type: 'string',
+                role: 'value.datetime',
+                read: true,
+                write: false
+            },
+            native: {}
+        });
+
+        const infoObjects = [
+            { id: 'machineState', name: 'Machine State', type: 'string', role: 'text', states: getStates(MACHINE_STATUS_CODES, this.language), def: 'UNKNOWN' },
+            { id: 'machineStatusCodes', name: 'Machine Status Codes', type: 'string', role: 'text', def: '' },
+            { id: 'errorCode', name: 'Error Code', type: 'number', role: 'value', def: 0 },
+            { id: 'errorText', name: 'Error Text', type: 'string', role: 'text', def: '' },
+            { id: 'reconnects', name: 'Reconnects since Adapter Start', type: 'number', role: 'value', def: 0 },
+            { id: 'lastConnected', name: 'Last Connected', type: 'string', role: 'value.datetime', def: '' },
+            { id: 'latencyMs', name: 'Latency', type: 'number', role: 'value', unit: 'ms', def: 0 },
+            { id: 'lastError', name: 'Last Connection Error', type: 'string', role: 'text', def: '' },
+            { id: 'captureFile', name: 'Last Capture File', type: 'string', role: 'text', def: '' }
+        ];
+
+        for (const obj of infoObjects) {
+            // Extend so the state names follow a changed system language
+            await this.extendObjectAsync(`${p}.info.${obj.id}`, {
+                type: 'state',
+                common: {
+                    name: obj.name,
+                    type: obj.type,
+                    role: obj.role,
+                    unit: obj.unit,
+                    states: obj.states,
+                    read: true,
+                    write: false,
+                    def: obj.def
+                },
+                native: {}
+            });
+        }
+
+        // Attributes reported by the printer
+        await this.setObjectNotExistsAsync(`${p}.info.device`, {
+            type: 'channel',
+            common: { name: 'Device' },
+            native: {}
+        });
+
+        const deviceObjects = [
+            { id: 'name', name: 'Printer Name', role: 'info.name' },
+            { id: 'model', name: 'Model', role: 'text' },
+            { id: 'brand', name: 'Brand', role: 'text' },
+            { id: 'firmware', name: 'Firmware Version', role: 'info.firmware' },
+            { id: 'previousFirmware', name: 'Previous Firmware Version', role: 'text' },
+            { id: 'firmwareChanged', name: 'Firmware Changed', role: 'value.datetime' },
+            { id: 'protocolVersion', name: 'Protocol Version', role: 'text' },
+            { id: 'mainboardId', name: 'Mainboard ID', role: 'info.serial' },
+            { id: 'ip', name: 'IP Address', role: 'info.ip' },
+            { id: 'mac', name: 'MAC Address', role: 'info.mac' },
+            { id: 'resolution', name: 'Resolution', role: 'text' },
+            { id: 'buildVolume', name: 'Build Volume', role: 'text' },
+            { id: 'capabilities', name: 'Capabilities', role: 'text' },
+            { id: 'fileTypes', name: 'Supported File Types', role: 'text' },
+            { id: 'attributes', name: 'All Attributes', role: 'json' }
+        ];
+
+        for (const obj of deviceObjects) {
+            await this.setObjectNotExistsAsync(`${p}.info.device.${obj.id}`, {
+                type: 'state',
+                common: {
+                    name: obj.name,
+                    type: 'string',
+                    role: obj.role,
+                    read: true,
+                    write: false,
+                    def: ''
+                },
+                native: {}
+            });
+        }
+
+        // Temperature channels - CRITICAL FIX: Create all temperature objects
+        await this.setObjectNotExistsAsync(`${p}.temperatures`, {
+            type: 'channel',
+            common: { name: 'Temperatures' },
+            native: {}
+        });
+        
+        const tempSensors = [
+            { id: 'nozzle', name: 'Nozzle' },
+            { id: 'bed', name: 'Heated Bed' },
+            { id: 'chamber', name: 'Chamber' }
+        ];
+        
+        for (const sensor of tempSensors) {
+            await this.setObjectNotExistsAsync(`${p}.temperatures.${sensor.id}`, {
+                type: 'channel',
+                common: { name: sensor.name },
+                native: {}
+            });
+            
+            await this.setObjectNotExistsAsync(`${p}.temperatures.${sensor.id}.actual`, {
+                type: 'state',
+                common: {
+                    name: `${sensor.name} Temperature`,
+                    type: 'number',
+                    role: 'value.temperature',
+                    unit: '°C',
+                    read: true,
+                    write: false,
+                    def: 0
+                },
+                native: {}
+            });
+            
+            // Extended instead of created so existing read-only targets become writable
+            const limits = ControlHandler.TEMPERATURE_LIMITS[sensor.id];
+            await this.extendObjectAsync(`${p}.temperatures.${sensor.id}.target`, {
+                type: 'state',
+                common: {
+                    name: `${sensor.name} Target Temperature`,
+                    type: 'number',
+                    role: 'level.temperature',
+                    unit: '°C',
+                    min: limits.min,
+                    max: limits.max,
+                    read: true,
+                    write: true,
+                    def: 0
+                },
+                native: {}
+            });
+        }
+
+        // Print information - CRITICAL FIX: Create all print-related objects
+        await this.setObjectNotExistsAsync(`${p}.print`, {
+            type: 'channel',
+            common: { name: 'Print Information' },
+            native: {}
+        });
+        
+        const printObjects = [
+            { id: 'status', name: 'Print Status', type: 'string', role: 'text', def: 'Unknown' },
+            { id: 'statusCode', name: 'Status Code', type: 'number', role: 'value', def: 0 },
+            { id: 'progress', name: 'Progress', type: 'number', role: 'value', unit: '%', def: 0 },
+            { id: 'filename', name: 'Filename', type: 'string', role: 'text', def: '' },
+            { id: 'currentLayer', name: 'Current Layer', type: 'number', role: 'value', def: 0 },
+            { id: 'totalLayers', name: 'Total Layers', type: 'number', role: 'value', def: 0 },
+            { id: 'speedPercentage', name: 'Print Speed', type: 'number', role: 'value', unit: '%', def: 100 },
+            { id: 'totalTime', name: 'Total Time', type: 'string', role: 'text', def: '00:00:00' },
+            { id: 'elapsedTime', name: 'Elapsed Time', type: 'string', role: 'text', def: '00:00:00' },
+            { id: 'remainingTime', name: 'Remaining Time', type: 'string', role: 'text', def: '00:00:00' },
+            { id: 'totalSeconds', name: 'Total Time (slicer)', type: 'number', role: 'value.interval', unit: 's', def: 0 },
+            { id: 'elapsedSeconds', name: 'Elapsed Time', type: 'number', role: 'value.interval', unit: 's', def: 0 },
+            { id: 'remainingSeconds', name: 'Remaining Time (estimated)', type: 'number', role: 'value.interval', unit: 's', def: 0 },
+            { id: 'estimatedFinish', name: 'Estimated Finish', type: 'string', role: 'date.end', def: '' },
+            { id: 'thumbnail', name: 'Thumbnail of the File (data URL)', type: 'string', role: 'url', def: '' }
+        ];
+        
+        for (const obj of printObjects) {
+            await this.setObjectNotExistsAsync(`${p}.print.${obj.id}`, {
+                type: 'state',
+                common: {
+                    name: obj.name,
+                    type: obj.type,
+                    role: obj.role,
+                    unit: obj.unit,
+                    read: true,
+                    write: false,
+                    def: obj.def
+                },
+                native: {}
+            });
+        }
+
+        await this.extendObjectAsync(`${p}.print.state`, {
+            type: 'state',
+            common: {
+                name: 'Print State',
+                type: 'string',
+                role: 'text',
+                states: getStates(STATUS_CODES, this.language),
+                read: true,
+                write: false,
+                def: 'UNKNOWN'
+            },
+            native: {}
+        });
+
+        // Slicer metadata of the current file
+        await this.setObjectNotExistsAsync(`${p}.print.meta`, {
+            type: 'channel',
+            common: { name: 'File Metadata' },
+            native: {}
+        });
+
+        const metaObjects = [
+            { id: 'slicer', name: 'Slicer', type: 'string', role: 'text', def: '' },
+            { id: 'layerHeight', name: 'Layer Height', type: 'number', role: 'value', unit: 'mm', def: 0 },
+            { id: 'filamentType', name: 'Filament Type', type: 'string', role: 'text', def: '' },
+            { id: 'filamentWeight', name: 'Estimated Filament Weight', type: 'number', role: 'value', unit: 'g', def: 0 },
+            { id: 'estimatedTime', name: 'Estimated Print Time (slicer)', type: 'number', role: 'value.interval', unit: 's', def: 0 }
+        ];
+
+        for (const obj of metaObjects) {
+            await this.setObjectNotExistsAsync(`${p}.print.meta.${obj.id}`, {
+                type: 'state',
+                common: {
+                    name: obj.name,
+                    type: obj.type,
+                    role: obj.role,
+                    unit: obj.unit,
+                    read: true,
+                    write: false,
+                    def: obj.def
+                },
+                native: {}
+            });
+        }
+
+        const speedModes = {};
+        for (const mode of Object.keys(ControlHandler.SPEED_MODES)) {
+            speedModes[mode] = `${mode.charAt(0).toUpperCase() + mode.slice(1)} (${ControlHandler.SPEED_MODES[mode]}%)`;
+        }
+        await this.setObjectNotExistsAsync(`${p}.print.speedMode`, {
+            type: 'state',
+            common: {
+                name: 'Print Speed Mode',
+                type: 'string',
+                role: 'level.mode',
+                states: speedModes,
+                read: true,
+                write: true,
+                def: 'balanced'
+            },
+            native: {}
+        });
+
+        // Control buttons - CRITICAL FIX: Create control objects
+        await this.setObjectNotExistsAsync(`${p}.controls`, {
+            type: 'channel',
+            common: { name: 'Printer Controls' },
+            native: {}
+        });
+        
+        const controls = [
+            { id: 'pause', name: 'Pause Print' },
+            { id: 'resume', name: 'Resume Print' },
+            { id: 'cancel', name: 'Cancel Print' },
+            { id: 'light', name: 'Chamber Light' },
+            { id: 'refresh', name: 'Refresh Status' },
+            { id: 'capture', name: 'Capture SDCP Frames' }
+        ];
+        
+        for (const control of controls) {
+            const isLight = control.id === 'light' || control.id === 'capture';
+            await this.setObjectNotExistsAsync(`${p}.controls.${control.id}`, {
+                type: 'state',
+                common: {
+                    name: control.name,
+                    type: 'boolean',
+                    role: isLight ? 'switch' : 'button',
+                    read: isLight,
+                    write: true,
+                    def: false
+                },
+                native: {}
+            });
+        }
+
+        await this.setObjectNotExistsAsync(`${p}.controls.rawResponse`, {
+            type: 'state',
+            common: {
+                name: 'Response to controls.rawCommand',
+                type: 'string',
+                role: 'json',
                 read: true,
                 write: false,
-                def: false
+                def: ''
             },
             native: {}
         });
-        
-        await this.setObjectNotExistsAsync('info.lastUpdate', {
+
+        await this.setObjectNotExistsAsync(`${p}.controls.lastCommandResult`, {
             type: 'state',
             common: {
-                name: 'Last Status Update',
+                name: 'Result of the last control command',
                 type: 'string',
-                role: 'value.datetime',
+                role: 'json',
                 read: true,
-                write: false
+                write: false,
+                def: ''
             },
             native: {}
         });
 
-        // Temperature channels - CRITICAL FIX: Create all temperature objects
-        await this.setObjectNotExistsAsync('temperatures', {
+        const printOptions = [
+            { id: 'startPrint', name: 'Start printing file', type: 'string', role: 'text', def: '' },
+            { id: 'startLayer', name: 'Start layer for controls.startPrint', type: 'number', role: 'level', def: 0, min: 0 },
+            { id: 'autoLeveling', name: 'Auto-leveling before controls.startPrint', type: 'boolean', role: 'switch', def: false },
+            { id: 'deleteFile', name: 'Delete file', type: 'string', role: 'text', def: '' },
+            { id: 'rawCommand', name: 'Raw SDCP command as JSON {"cmd": 0, "data": {}}', type: 'string', role: 'json', def: '' }
+        ];
+        
+        for (const option of printOptions) {
+            await this.setObjectNotExistsAsync(`${p}.controls.${option.id}`, {
+                type: 'state',
+                common: {
+                    name: option.name,
+                    type: option.type,
+                    role: option.role,
+                    min: option.min,
+                    read: true,
+                    write: true,
+                    def: option.def
+                },
+                native: {}
+            });
+        }
+
+        // Files on the printer
+        await this.setObjectNotExistsAsync(`${p}.files`, {
             type: 'channel',
-            common: { name: 'Temperatures' },
+            common: { name: 'Files' },
             native: {}
         });
-        
-        const tempSensors = [
-            { id: 'nozzle', name: 'Nozzle' },
-            { id: 'bed', name: 'Heated Bed' },
-            { id: 'chamber', name: 'Chamber' }
+
+        const fileObjects = [
+            { id: 'storage', name: 'Storage', type: 'string', role: 'level.mode', states: FileManager.STORAGE_PATHS, write: true, def: 'local' },
+            { id: 'refresh', name: 'Refresh File List', type: 'boolean', role: 'button', write: true, def: false },
+            { id: 'list', name: 'File List', type: 'string', role: 'json', def: '[]' },
+            { id: 'count', name: 'Number of Files', type: 'number', role: 'value', def: 0 },
+            { id: 'lastRefresh', name: 'Last Refresh', type: 'string', role: 'value.datetime', def: '' }
         ];
         
-        for (const sensor of tempSensors) {
-            await this.setObjectNotExistsAsync(`temperatures.${sensor.id}`, {
-                type: 'channel',
-                common: { name: sensor.name },
+        for (const obj of fileObjects) {
+            await this.setObjectNotExistsAsync(`${p}.files.${obj.id}`, {
+                type: 'state',
+                common: {
+                    name: obj.name,
+                    type: obj.type,
+                    role: obj.role,
+                    states: obj.states,
+                    read: obj.role !== 'button',
+                    write: !!obj.write,
+                    def: obj.def
+                },
                 native: {}
             });
-            
-            await this.setObjectNotExistsAsync(`temperatures.${sensor.id}.actual`, {
+        }
+
+        await this.setObjectNotExistsAsync(`${p}.files.items`, {
+            type: 'folder',
+            common: { name: 'File Details' },
+            native: {}
+        });
+
+        // Print job queue
+        await this.setObjectNotExistsAsync(`${p}.queue`, {
+            type: 'channel',
+            common: { name: 'Print Queue' },
+            native: {}
+        });
+
+        const queueStates = {};
+        for (const status of PrintQueue.STATUSES) {
+            queueStates[status] = status;
+        }
+
+        const queueObjects = [
+            { id: 'jobs', name: 'Queued Jobs', type: 'string', role: 'json', write: true, def: '[]' },
+            { id: 'add', name: 'Add File to Queue', type: 'string', role: 'text', write: true, def: '' },
+            { id: 'remove', name: 'Remove Job (ID or file name)', type: 'string', role: 'text', write: true, def: '' },
+            { id: 'clear', name: 'Clear Queue', type: 'boolean', role: 'button', write: true, def: false },
+            { id: 'enabled', name: 'Start Queued Jobs Automatically', type: 'boolean', role: 'switch.enable', write: true, def: false },
+            { id: 'bedCleared', name: 'Bed Cleared', type: 'boolean', role: 'switch', write: true, def: false },
+            { id: 'length', name: 'Number of Queued Jobs', type: 'number', role: 'value', def: 0 },
+            { id: 'next', name: 'Next File', type: 'string', role: 'text', def: '' },
+            { id: 'status', name: 'Queue Status', type: 'string', role: 'text', states: queueStates, def: 'disabled' },
+            { id: 'lastStarted', name: 'Last Started Job', type: 'string', role: 'json', def: '' }
+        ];
+
+        for (const obj of queueObjects) {
+            await this.setObjectNotExistsAsync(`${p}.queue.${obj.id}`, {
                 type: 'state',
                 common: {
-                    name: `${sensor.name} Temperature`,
-                    type: 'number',
-                    role: 'value.temperature',
-                    unit: '°C',
+                    name: obj.name,
+                    type: obj.type,
+                    role: obj.role,
+                    states: obj.states,
+                    read: obj.role !== 'button',
+                    write: !!obj.write,
+                    def: obj.def
+                },
+                native: {}
+            });
+        }
+
+        // Print history
+        await this.setObjectNotExistsAsync(`${p}.history`, {
+            type: 'channel',
+            common: { name: 'Print History' },
+            native: {}
+        });
+
+        const historyObjects = [
+            { id: 'jobs', name: 'Print Jobs recorded by the Adapter', type: 'string', role: 'json', def: '[]' },
+            { id: 'currentJob', name: 'Running Print Job', type: 'string', role: 'json', def: '' },
+            { id: 'printer', name: 'Print History of the Printer', type: 'string', role: 'json', def: '[]' },
+            { id: 'refresh', name: 'Refresh Printer History', type: 'boolean', role: 'button', write: true, def: false }
+        ];
+
+        for (const obj of historyObjects) {
+            await this.setObjectNotExistsAsync(`${p}.history.${obj.id}`, {
+                type: 'state',
+                common: {
+                    name: obj.name,
+                    type: obj.type,
+                    role: obj.role,
+                    read: obj.role !== 'button',
+                    write: !!obj.write,
+                    def: obj.def
+                },
+                native: {}
+            });
+        }
+
+        await this.setObjectNotExistsAsync(`${p}.history.lastJob`, {
+            type: 'channel',
+            common: { name: 'Last Print Job' },
+            native: {}
+        });
+
+        const lastJobObjects = [
+            { id: 'filename', name: 'Filename', type: 'string', role: 'text', def: '' },
+            { id: 'start', name: 'Start', type: 'string', role: 'date.start', def: '' },
+            { id: 'end', name: 'End', type: 'string', role: 'date.end', def: '' },
+            { id: 'duration', name: 'Duration', type: 'number', role: 'value.interval', unit: 's', def: 0 },
+            { id: 'result', name: 'Result', type: 'string', role: 'text', states: { complete: 'complete', cancelled: 'cancelled', error: 'error' }, def: '' },
+            { id: 'layers', name: 'Printed Layers', type: 'number', role: 'value', def: 0 },
+            { id: 'peakNozzle', name: 'Peak Nozzle Temperature', type: 'number', role: 'value.temperature.max', unit: '°C', def: 0 },
+            { id: 'peakBed', name: 'Peak Bed Temperature', type: 'number', role: 'value.temperature.max', unit: '°C', def: 0 },
+            { id: 'peakChamber', name: 'Peak Chamber Temperature', type: 'number', role: 'value.temperature.max', unit: '°C', def: 0 },
+            { id: 'filamentWeight', name: 'Filament Used', type: 'number', role: 'value', unit: 'g', def: 0 },
+            { id: 'filamentLength', name: 'Filament Length Used', type: 'number', role: 'value', unit: 'm', def: 0 },
+            { id: 'filamentCost', name: 'Filament Cost', type: 'number', role: 'value', unit: this.currency, def: 0 },
+            { id: 'energy', name: 'Energy Used', type: 'number', role: 'value.energy', unit: 'kWh', def: 0 },
+            { id: 'energyCost', name: 'Energy Cost', type: 'number', role: 'value', unit: this.currency, def: 0 }
+        ];
+
+        for (const obj of lastJobObjects) {
+            await this.setObjectNotExistsAsync(`${p}.history.lastJob.${obj.id}`, {
+                type: 'state',
+                common: {
+                    name: obj.name,
+                    type: obj.type,
+                    role: obj.role,
+                    unit: obj.unit,
+                    states: obj.states,
                     read: true,
                     write: false,
-                    def: 0
+                    def: obj.def
                 },
                 native: {}
             });
-            
-            await this.setObjectNotExistsAsync(`temperatures.${sensor.id}.target`, {
+        }
+
+        await this.setObjectNotExistsAsync(`${p}.history.totals`, {
+            type: 'channel',
+            common: { name: 'Totals' },
+            native: {}
+        });
+
+        const totalObjects = [
+            { id: 'jobs', name: 'Print Jobs', unit: '' },
+            { id: 'completed', name: 'Completed Jobs', unit: '' },
+            { id: 'cancelled', name: 'Cancelled Jobs', unit: '' },
+            { id: 'failed', name: 'Failed Jobs', unit: '' },
+            { id: 'printHours', name: 'Print Hours', unit: 'h' },
+            { id: 'successRate', name: 'Success Rate', unit: '%' }
+        ];
+
+        for (const obj of totalObjects) {
+            await this.setObjectNotExistsAsync(`${p}.history.totals.${obj.id}`, {
                 type: 'state',
                 common: {
-                    name: `${sensor.name} Target Temperature`,
+                    name: obj.name,
                     type: 'number',
-                    role: 'level.temperature',
-                    unit: '°C',
+                    role: 'value',
+                    unit: obj.unit || undefined,
                     read: true,
                     write: false,
                     def: 0
@@ -237,34 +1444,35 @@ class ElegooCentauri extends utils.Adapter {
             });
         }
 
-        // Print information - CRITICAL FIX: Create all print-related objects
-        await this.setObjectNotExistsAsync('print', {
+        // Uploads to the printer
+        await this.setObjectNotExistsAsync(`${p}.upload`, {
             type: 'channel',
-            common: { name: 'Print Information' },
+            common: { name: 'Upload' },
             native: {}
         });
-        
-        const printObjects = [
-            { id: 'status', name: 'Print Status', type: 'string', role: 'text', def: 'Unknown' },
-            { id: 'statusCode', name: 'Status Code', type: 'number', role: 'value', def: 0 },
-            { id: 'progress', name: 'Progress', type: 'number', role: 'value', unit: '%', def: 0 },
-            { id: 'filename', name: 'Filename', type: 'string', role: 'text', def: '' },
-            { id: 'currentLayer', name: 'Current Layer', type: 'number', role: 'value', def: 0 },
-            { id: 'totalLayers', name: 'Total Layers', type: 'number', role: 'value', def: 0 },
-            { id: 'speedPercentage', name: 'Print Speed', type: 'number', role: 'value', unit: '%', def: 100 },
-            { id: 'totalTime', name: 'Total Time', type: 'string', role: 'text', def: '00:00:00' },
-            { id: 'elapsedTime', name: 'Elapsed Time', type: 'string', role: 'text', def: '00:00:00' },
-            { id: 'remainingTime', name: 'Remaining Time', type: 'string', role: 'text', def: '00:00:00' }
+
+        const uploadStatus = {};
+        for (const status of Object.values(Uploader.UPLOAD_STATUS)) {
+            uploadStatus[status] = status;
+        }
+
+        const uploadObjects = [
+            { id: 'status', name: 'Upload Status', type: 'string', role: 'text', states: uploadStatus, def: 'idle' },
+            { id: 'progress', name: 'Upload Progress', type: 'number', role: 'value', unit: '%', def: 0 },
+            { id: 'filename', name: 'Uploaded File', type: 'string', role: 'text', def: '' },
+            { id: 'error', name: 'Upload Error', type: 'string', role: 'text', def: '' },
+            { id: 'startError', name: 'Print Start Error after Upload', type: 'string', role: 'text', def: '' }
         ];
-        
-        for (const obj of printObjects) {
-            await this.setObjectNotExistsAsync(`print.${obj.id}`, {
+
+        for (const obj of uploadObjects) {
+            await this.setObjectNotExistsAsync(`${p}.upload.${obj.id}`, {
                 type: 'state',
                 common: {
                     name: obj.name,
                     type: obj.type,
                     role: obj.role,
                     unit: obj.unit,
+                    states: obj.states,
                     read: true,
                     write: false,
                     def: obj.def
@@ -273,55 +1481,220 @@ class ElegooCentauri extends utils.Adapter {
             });
         }
 
-        // Control buttons - CRITICAL FIX: Create control objects
-        await this.setObjectNotExistsAsync('controls', {
+        // Filament usage and spool
+        await this.setObjectNotExistsAsync(`${p}.filament`, {
             type: 'channel',
-            common: { name: 'Printer Controls' },
+            common: { name: 'Filament' },
             native: {}
         });
-        
-        const controls = [
-            { id: 'pause', name: 'Pause Print' },
-            { id: 'resume', name: 'Resume Print' },
-            { id: 'cancel', name: 'Cancel Print' },
-            { id: 'light', name: 'Chamber Light' },
-            { id: 'refresh', name: 'Refresh Status' }
+
+        const filamentChannels = [
+            { id: 'job', name: 'Current or last Job' },
+            { id: 'total', name: 'Total Usage' },
+            { id: 'spool', name: 'Spool' }
         ];
-        
-        for (const control of controls) {
-            const isLight = control.id === 'light';
-            await this.setObjectNotExistsAsync(`controls.${control.id}`, {
+
+        for (const channel of filamentChannels) {
+            await this.setObjectNotExistsAsync(`${p}.filament.${channel.id}`, {
+                type: 'channel',
+                common: { name: channel.name },
+                native: {}
+            });
+        }
+
+        const filamentObjects = [
+            { id: 'job.weight', name: 'Filament Used', role: 'value', unit: 'g', def: 0 },
+            { id: 'job.length', name: 'Filament Length Used', role: 'value', unit: 'm', def: 0 },
+            { id: 'job.cost', name: 'Filament Cost', role: 'value', unit: this.currency, def: 0 },
+            { id: 'job.estimatedWeight', name: 'Estimated Filament for the Job', role: 'value', unit: 'g', def: 0 },
+            { id: 'job.estimatedCost', name: 'Estimated Filament Cost of the Job', role: 'value', unit: this.currency, def: 0 },
+            { id: 'total.weight', name: 'Total Filament Used', role: 'value', unit: 'g', def: 0 },
+            { id: 'total.length', name: 'Total Filament Length Used', role: 'value', unit: 'm', def: 0 },
+            { id: 'total.cost', name: 'Total Filament Cost', role: 'value', unit: this.currency, def: 0 },
+            { id: 'spool.weight', name: 'Filament Weight of a full Spool', role: 'level', unit: 'g', write: true, def: this.config.filamentSpoolWeight },
+            { id: 'spool.pricePerKg', name: 'Filament Price per kg', role: 'level', unit: `${this.currency}/kg`, write: true, def: this.config.filamentPricePerKg },
+            { id: 'spool.remaining', name: 'Filament left on the Spool', role: 'level', unit: 'g', write: true, def: this.config.filamentSpoolWeight },
+            { id: 'spool.remainingPercent', name: 'Filament left on the Spool in Percent', role: 'value.fill', unit: '%', def: 100 },
+            { id: 'spool.low', name: 'Spool running low', type: 'boolean', role: 'indicator.alarm', def: false },
+            { id: 'spool.replace', name: 'New Spool inserted', type: 'boolean', role: 'button', write: true, def: false }
+        ];
+
+        for (const obj of filamentObjects) {
+            await this.setObjectNotExistsAsync(`${p}.filament.${obj.id}`, {
                 type: 'state',
                 common: {
-                    name: control.name,
-                    type: 'boolean',
-                    role: isLight ? 'switch' : 'button',
-                    read: isLight,
-                    write: true,
-                    def: false
+                    name: obj.name,
+                    type: obj.type || 'number',
+                    role: obj.role,
+                    unit: obj.unit,
+                    min: obj.type ? undefined : 0,
+                    read: obj.role !== 'button',
+                    write: !!obj.write,
+                    def: obj.def
+                },
+                native: {}
+            });
+        }
+
+        // Energy usage measured by a linked power or energy meter
+        await this.setObjectNotExistsAsync(`${p}.energy`, {
+            type: 'channel',
+            common: { name: 'Energy' },
+            native: {}
+        });
+
+        const energyChannels = [
+            { id: 'job', name: 'Current or last Job' },
+            { id: 'total', name: 'All Jobs' },
+            { id: 'standby', name: 'Standby between Jobs' }
+        ];
+
+        for (const channel of energyChannels) {
+            await this.setObjectNotExistsAsync(`${p}.energy.${channel.id}`, {
+                type: 'channel',
+                common: { name: channel.name },
+                native: {}
+            });
+            await this.setObjectNotExistsAsync(`${p}.energy.${channel.id}.consumption`, {
+                type: 'state',
+                common: { name: 'Energy Used', type: 'number', role: 'value.energy', unit: 'kWh', min: 0, read: true, write: false, def: 0 },
+                native: {}
+            });
+            await this.setObjectNotExistsAsync(`${p}.energy.${channel.id}.cost`, {
+                type: 'state',
+                common: { name: 'Energy Cost', type: 'number', role: 'value', unit: this.currency, min: 0, read: true, write: false, def: 0 },
+                native: {}
+            });
+        }
+
+        await this.setObjectNotExistsAsync(`${p}.energy.power`, {
+            type: 'state',
+            common: { name: 'Current Power', type: 'number', role: 'value.power', unit: 'W', read: true, write: false, def: 0 },
+            native: {}
+        });
+
+        // Smart plug of the printer
+        await this.setObjectNotExistsAsync(`${p}.power`, {
+            type: 'channel',
+            common: { name: 'Power' },
+            native: {}
+        });
+
+        const powerStatus = {};
+        for (const status of Object.values(PowerControl.POWER_STATUS)) {
+            powerStatus[status] = status;
+        }
+        await this.setObjectNotExistsAsync(`${p}.power.status`, {
+            type: 'state',
+            common: { name: 'Power Control Status', type: 'string', role: 'text', states: powerStatus, read: true, write: false, def: 'idle' },
+            native: {}
+        });
+
+        // Camera
+        await this.setObjectNotExistsAsync(`${p}.camera`, {
+            type: 'channel',
+            common: { name: 'Camera' },
+            native: {}
+        });
+
+        const cameraObjects = [
+            { id: 'enabled', name: 'Video Stream enabled', type: 'boolean', role: 'switch.enable', write: true, def: true },
+            { id: 'streamUrl', name: 'Video Stream URL', type: 'string', role: 'url.cam', def: '' },
+            { id: 'takeSnapshot', name: 'Take Snapshot', type: 'boolean', role: 'button', write: true, def: false },
+            { id: 'snapshotPath', name: 'Snapshot File', type: 'string', role: 'text', def: '' },
+            { id: 'snapshotUrl', name: 'Snapshot URL', type: 'string', role: 'url', def: '' },
+            { id: 'snapshotTime', name: 'Snapshot Time', type: 'string', role: 'value.datetime', def: '' },
+            { id: 'timelapse', name: 'Record Timelapse', type: 'boolean', role: 'switch.enable', write: true, def: false },
+            { id: 'timelapses', name: 'Timelapse Videos', type: 'string', role: 'json', def: '[]' },
+            { id: 'downloadTimelapse', name: 'Download Timelapse of Task ID', type: 'string', role: 'text', write: true, def: '' },
+            { id: 'lastTimelapse', name: 'Last downloaded Timelapse File', type: 'string', role: 'text', def: '' }
+        ];
+
+        for (const obj of cameraObjects) {
+            await this.setObjectNotExistsAsync(`${p}.camera.${obj.id}`, {
+                type: 'state',
+                common: {
+                    name: obj.name,
+                    type: obj.type,
+                    role: obj.role,
+                    read: obj.role !== 'button',
+                    write: !!obj.write,
+                    def: obj.def
+                },
+                native: {}
+            });
+        }
+
+        // Safety watchdog
+        await this.setObjectNotExistsAsync(`${p}.watchdog`, {
+            type: 'channel',
+            common: { name: 'Watchdog' },
+            native: {}
+        });
+
+        const watchdogObjects = [
+            { id: 'alarm', name: 'Watchdog Alarm', type: 'boolean', role: 'indicator.alarm', def: false },
+            { id: 'reason', name: 'Alarm Reason', type: 'string', role: 'text', def: '' },
+            { id: 'text', name: 'Alarm Description', type: 'string', role: 'text', def: '' },
+            { id: 'since', name: 'Alarm Time', type: 'string', role: 'value.datetime', def: '' },
+            { id: 'reset', name: 'Reset Alarm', type: 'boolean', role: 'button', write: true, def: false }
+        ];
+
+        for (const obj of watchdogObjects) {
+            await this.setObjectNotExistsAsync(`${p}.watchdog.${obj.id}`, {
+                type: 'state',
+                common: {
+                    name: obj.name,
+                    type: obj.type,
+                    role: obj.role,
+                    read: obj.role !== 'button',
+                    write: !!obj.write,
+                    def: obj.def
                 },
                 native: {}
             });
         }
 
+        // Events
+        await this.setObjectNotExistsAsync(`${p}.events`, {
+            type: 'channel',
+            common: { name: 'Events' },
+            native: {}
+        });
+
+        await this.setObjectNotExistsAsync(`${p}.events.last`, {
+            type: 'state',
+            common: {
+                name: 'Last Event',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false,
+                def: ''
+            },
+            native: {}
+        });
+
         // Fan speeds
-        await this.setObjectNotExistsAsync('fans', {
+        await this.setObjectNotExistsAsync(`${p}.fans`, {
             type: 'channel',
             common: { name: 'Fan Speeds' },
             native: {}
         });
         
-        const fans = ['model', 'auxiliary', 'chamber'];
+        const fans = Object.keys(ControlHandler.FAN_FIELDS);
         for (const fan of fans) {
-            await this.setObjectNotExistsAsync(`fans.${fan}`, {
+            await this.extendObjectAsync(`${p}.fans.${fan}`, {
                 type: 'state',
                 common: {
                     name: `${fan.charAt(0).toUpperCase() + fan.slice(1)} Fan`,
                     type: 'number',
-                    role: 'value',
+                    role: 'level.speed',
                     unit: '%',
+                    min: 0,
+                    max: 100,
                     read: true,
-                    write: false,
+                    write: true,
                     def: 0
                 },
                 native: {}
@@ -329,7 +1702,7 @@ class ElegooCentauri extends utils.Adapter {
         }
 
         // Position information
-        await this.setObjectNotExistsAsync('position', {
+        await this.setObjectNotExistsAsync(`${p}.position`, {
             type: 'channel',
             common: { name: 'Position' },
             native: {}
@@ -337,7 +1710,7 @@ class ElegooCentauri extends utils.Adapter {
         
         const positions = ['x', 'y', 'z', 'zOffset'];
         for (const pos of positions) {
-            await this.setObjectNotExistsAsync(`position.${pos}`, {
+            await this.setObjectNotExistsAsync(`${p}.position.${pos}`, {
                 type: 'state',
                 common: {
                     name: pos === 'zOffset' ? 'Z-Offset' : `${pos.toUpperCase()} Position`,
@@ -353,13 +1726,13 @@ class ElegooCentauri extends utils.Adapter {
         }
 
         // Lighting controls
-        await this.setObjectNotExistsAsync('lights', {
+        await this.setObjectNotExistsAsync(`${p}.lights`, {
             type: 'channel',
             common: { name: 'Lighting' },
             native: {}
         });
         
-        await this.setObjectNotExistsAsync('lights.chamber', {
+        await this.setObjectNotExistsAsync(`${p}.lights.chamber`, {
             type: 'state',
             common: {
                 name: 'Chamber Light Status',
@@ -372,35 +1745,49 @@ class ElegooCentauri extends utils.Adapter {
             native: {}
         });
         
-        await this.setObjectNotExistsAsync('lights.rgb', {
+        await this.setObjectNotExistsAsync(`${p}.lights.rgb`, {
             type: 'channel',
             common: { name: 'RGB Lighting' },
             native: {}
         });
         
-        const rgbColors = ['r', 'g', 'b'];
+        const rgbColors = [
+            { id: 'r', role: 'level.color.red' },
+            { id: 'g', role: 'level.color.green' },
+            { id: 'b', role: 'level.color.blue' }
+        ];
         for (const color of rgbColors) {
-            await this.setObjectNotExistsAsync(`lights.rgb.${color}`, {
+            await this.extendObjectAsync(`${p}.lights.rgb.${color.id}`, {
                 type: 'state',
                 common: {
-                    name: `RGB ${color.toUpperCase()}`,
+                    name: `RGB ${color.id.toUpperCase()}`,
                     type: 'number',
-                    role: 'level.color.rgb',
+                    role: color.role,
                     min: 0,
                     max: 255,
                     read: true,
-                    write: false,
+                    write: true,
                     def: 0
                 },
                 native: {}
             });
         }
-        
-        this.log.info('All ioBroker objects created successfully');
+
+        await this.setObjectNotExistsAsync(`${p}.lights.rgb.hex`, {
+            type: 'state',
+            common: {
+                name: 'RGB Color',
+                type: 'string',
+                role: 'level.color.rgb',
+                read: true,
+                write: true,
+                def: '#000000'
+            },
+            native: {}
+        });
     }
 }
 
-
 if (require.main === module) {
     // @ts-ignore
     const { adapter } = require('@iobroker/adapter-core');